@@ -1,8 +1,16 @@
 import * as core from '@actions/core'
 import * as github from '@actions/github'
+import { retry } from '@octokit/plugin-retry'
+import { throttling } from '@octokit/plugin-throttling'
 import Ajv from 'ajv'
 import * as fs from 'fs'
+import * as jsonc from 'jsonc-parser'
+import { minimatch } from 'minimatch'
 import * as path from 'path'
+import * as YAML from 'yaml'
+
+// File extensions recognized as team configuration files
+const CONFIG_EXTENSIONS = ['.json', '.jsonc', '.yaml', '.yml']
 
 // Configuration schema
 const configSchema = {
@@ -10,26 +18,153 @@ const configSchema = {
     properties: {
         name: { type: 'string' },
         slug: { type: 'string' },
+        previous_slugs: { type: 'array', items: { type: 'string' } },
         description: { type: 'string' },
         privacy: { enum: ['secret', 'closed'] },
+        notification_setting: { enum: ['notifications_enabled', 'notifications_disabled'] },
+        parent: { type: ['string', 'null'] },
         repositories: {
             type: 'object',
             additionalProperties: { enum: ['pull', 'push', 'admin', 'maintain', 'triage'] }
         },
+        members: { type: 'array', items: { type: 'string' } },
+        maintainers: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['name', 'slug', 'repositories'],
+    additionalProperties: false
+}
+
+// Organization membership schema
+const orgConfigSchema = {
+    type: 'object',
+    properties: {
+        owners: { type: 'array', items: { type: 'string' } },
         members: { type: 'array', items: { type: 'string' } }
     },
-    required: ['name', 'slug']
+    required: ['owners'],
+    additionalProperties: false
+}
+
+interface OrgConfig {
+    owners: string[]
+    members?: string[]
 }
 
 interface TeamConfig {
     name: string
     slug: string
+    previous_slugs?: string[]
     description?: string
     privacy?: 'secret' | 'closed'
+    notification_setting?: 'notifications_enabled' | 'notifications_disabled'
+    parent?: string | null
     repositories: Record<string, 'pull' | 'push' | 'admin' | 'maintain' | 'triage'>
     members: string[]
+    maintainers?: string[]
+}
+
+type TeamRole = 'member' | 'maintainer'
+
+// Owners have the admin role in the organization
+type OrgRole = 'member' | 'admin'
+
+type PruneMode = 'none' | 'report' | 'delete'
+
+type SyncMode = 'enforce' | 'detect'
+
+type SnapshotSource = 'rest' | 'graphql'
+
+type MemberPolicy = 'fail' | 'warn' | 'invite'
+
+type RepositoryPrecedence = 'specificity' | 'highest-permission'
+
+// Prefixes of repository entries that select repositories by attribute instead of by name
+const REPO_SELECTORS = ['topic', 'visibility', 'language', 'property']
+
+// Repository permission levels, from the least to the most privileged
+const PERMISSION_LEVELS = ['pull', 'triage', 'push', 'maintain', 'admin']
+
+/**
+ * Runs a task once fewer than the configured number of tasks are running.
+ */
+type Limiter = <T>(task: () => Promise<T>) => Promise<T>
+
+/**
+ * The state of the organization, loaded once per run and shared by every team sync.
+ */
+interface OrgSnapshot {
+    repos: OrgRepo[]
+    teams: Map<string, ExistingTeam>
+    members: string[]
+}
+
+/**
+ * Run-wide settings that control how teams are synchronized.
+ */
+interface SyncOptions {
+    // Bounds the number of API mutations in flight across all teams
+    limit: Limiter
+    repositoryPrecedence: RepositoryPrecedence
+    includeArchived: boolean
+    includeForks: boolean
+    includeTemplates: boolean
+    // Logins that failed member validation and are left out of every team, normalized with normalizeLogin
+    excludedLogins: Set<string>
+    // Pending invitations older than this many days are cancelled, or none if null
+    invitationMaxAge: number | null
+    // Logins declared in any team or in the organization file, normalized with normalizeLogin
+    declaredLogins: Set<string>
+}
+
+/**
+ * A single change the sync would make to the organization.
+ */
+interface PlannedChange {
+    team: string
+    action: 'create-team' | 'update-team' | 'delete-team' | 'add-member' | 'update-member-role' | 'remove-member' | 'cancel-invitation' | 'invite-org-member' | 'update-org-role' | 'remove-org-member' | 'add-repo' | 'update-repo' | 'remove-repo'
+    target: string
+    detail?: string
+}
+
+/**
+ * Collects the changes made (or, in dry-run mode, only planned) during a run.
+ */
+interface SyncPlan {
+    dryRun: boolean
+    changes: PlannedChange[]
+}
+
+/**
+ * The step of processing a team configuration that failed.
+ */
+type SyncStep = 'parse' | 'validate' | 'parent' | 'team' | 'members' | 'repositories' | 'org' | 'prune'
+
+/**
+ * A team configuration that could not be processed.
+ */
+interface SyncFailure {
+    team: string
+    file?: string
+    step: SyncStep
+    message: string
+}
+
+/**
+ * An error raised while synchronizing a team, tagged with the step that failed.
+ */
+class SyncStepError extends Error {
+    constructor(readonly step: SyncStep, cause: unknown) {
+        super(cause instanceof Error ? cause.message : String(cause))
+        this.name = 'SyncStepError'
+    }
 }
 
+// Read-only API results cached for the duration of the run, so every listing is fetched once
+const readCache = new Map<string, Promise<unknown>>()
+
+// Hidden marker used to find the plan comment on a pull request so it can be updated in place
+const PLAN_COMMENT_MARKER = '<!-- org-management-plan -->'
+
 /**
  * Main function that runs the GitHub Action.
  * - Reads and validates configuration.
@@ -38,295 +173,2119 @@ interface TeamConfig {
 async function run(): Promise<void> {
     try {
         const token = core.getInput('github-token', { required: true })
-        const octokit = github.getOctokit(token)
+        const octokit = createOctokit(token, Number(core.getInput('max-retries') || '3'))
         const configPath = core.getInput('config-path', { required: true })
         const orgName = core.getInput('org-name', { required: true })
+        const isPullRequest = github.context.eventName === 'pull_request'
+        const mode = getSyncMode()
+        // Pull requests only preview the changes; they are applied once the change is pushed
+        const plan: SyncPlan = { dryRun: isPullRequest || mode === 'detect' || core.getBooleanInput('dry-run'), changes: [] }
+        const pruneMode = getPruneMode()
+        const pruneIgnore = getListInput('prune-ignore')
+        const failFast = core.getBooleanInput('fail-fast')
+        const failures: SyncFailure[] = []
+        const orgConfigPath = core.getInput('org-config')
+        const concurrency = getConcurrency()
+        const options: SyncOptions = {
+            limit: createLimiter(concurrency),
+            repositoryPrecedence: getRepositoryPrecedence(),
+            includeArchived: core.getBooleanInput('include-archived'),
+            includeForks: core.getBooleanInput('include-forks'),
+            includeTemplates: core.getBooleanInput('include-templates'),
+            excludedLogins: new Set(),
+            // Cancelling invitations changes the organization, which detection never does
+            invitationMaxAge: mode === 'detect' ? null : getInvitationMaxAge(),
+            declaredLogins: new Set(),
+        }
 
-        const changedFiles = await getChangedFiles();
+        if (mode === 'detect') {
+            core.info('Drift detection mode enabled: the organization is compared with the configuration and not changed')
+        } else if (plan.dryRun) {
+            core.info('Dry-run mode enabled: no changes will be applied to the organization')
+        }
 
-        if (changedFiles.length > 0) {
-            core.info(`Changed team configuration files: ${changedFiles.join(', ')}`);
-        } else {
-            core.info('No team configuration files were changed in this push');
+        // Drift can be anywhere in the organization, so detection always compares every team
+        const fullSync = mode === 'detect' || github.context.eventName === 'workflow_dispatch' || core.getBooleanInput('full-sync')
+        const changedFiles = fullSync ? null : await getChangedFiles(octokit, configPath)
+
+        if (changedFiles) {
+            core.info(`Changed team configuration files: ${changedFiles.changed.join(', ') || 'none'}`)
+            core.info(`Removed team configuration files: ${changedFiles.removed.join(', ') || 'none'}`)
         }
 
-        // Read all JSON files in the directory
+        // Read all configuration files in the directory; unchanged teams are still needed to resolve parents
         const files = fs.readdirSync(configPath)
-            .filter(file => file.endsWith('.json'))
+            .filter(isConfigFile)
             .map(file => path.join(configPath, file))
+            .filter(file => !orgConfigPath || path.resolve(file) !== path.resolve(orgConfigPath))
 
+        const configFiles = new Map<string, TeamConfig>()
         for (const file of files) {
             core.info(`Processing file: ${file}`)
-            const config = await getConfig(file)
-            validateConfig(config)
-            await syncTeam(octokit, orgName, config)
+            let step: SyncStep = 'parse'
+            try {
+                const config = await getConfig(file)
+                step = 'validate'
+                validateConfig(config)
+                configFiles.set(file, config)
+            } catch (error) {
+                if (failFast) {
+                    throw error
+                }
+                failures.push({ team: path.basename(file, path.extname(file)), file, step, message: error instanceof Error ? error.message : String(error) })
+                core.error(`Skipping ${file}: ${error instanceof Error ? error.message : String(error)}`)
+            }
+        }
+
+        // Organization membership is only managed when an organization file is given
+        let orgConfig: OrgConfig | null = null
+        if (orgConfigPath) {
+            core.info(`Processing file: ${orgConfigPath}`)
+            let step: SyncStep = 'parse'
+            try {
+                const config = await getConfig<OrgConfig>(orgConfigPath)
+                step = 'validate'
+                validateOrgConfig(config)
+                orgConfig = config
+            } catch (error) {
+                if (failFast) {
+                    throw error
+                }
+                failures.push({ team: orgName, file: orgConfigPath, step, message: error instanceof Error ? error.message : String(error) })
+                core.error(`Skipping ${orgConfigPath}: ${error instanceof Error ? error.message : String(error)}`)
+            }
+        }
+
+        const usesProperties = [...configFiles.values()].some(config =>
+            Object.keys(config.repositories ?? {}).some(pattern => getRepoSelector(pattern.replace(/^!/, ''))?.selector === 'property'))
+        const snapshot = await loadOrgSnapshot(octokit, orgName, getSnapshotSource(), usesProperties)
+
+        // Checks across files run before any change is made, so an invalid team is never partially applied
+        for (const failure of validateConfigSet(configFiles, snapshot)) {
+            if (failFast) {
+                throw new Error(`Invalid configuration in ${failure.file}: ${failure.message}`)
+            }
+            failures.push(failure)
+            configFiles.delete(failure.file ?? '')
+            core.error(`Skipping ${failure.file}: ${failure.message}`)
+        }
+        const orgConfigProblem = orgConfig && await validateOrgOwners(octokit, orgName, orgConfig, snapshot)
+        if (orgConfigProblem) {
+            if (failFast) {
+                throw new Error(`Invalid organization configuration in ${orgConfigPath}: ${orgConfigProblem}`)
+            }
+            failures.push({ team: orgName, file: orgConfigPath, step: 'validate', message: orgConfigProblem })
+            core.error(`Skipping ${orgConfigPath}: ${orgConfigProblem}`)
+            orgConfig = null
+        }
+
+        // Teams declared in files that failed to load are unknown, so deleting teams could remove them by mistake
+        const allConfigsLoaded = failures.length === 0
+        const configs = [...configFiles.values()]
+        const selectedConfigs = changedFiles ? selectChangedTeams(configFiles, changedFiles.changed) : configs
+        const declaredLogins = [
+            ...configs.flatMap(config => [...(config.members ?? []), ...(config.maintainers ?? [])]),
+            ...(orgConfig ? [...orgConfig.owners, ...(orgConfig.members ?? [])] : []),
+        ]
+        options.declaredLogins = new Set(declaredLogins.map(normalizeLogin))
+        if (!allConfigsLoaded) {
+            // Whether an invited user is declared anywhere is unknown, so no invitation is cancelled
+            options.invitationMaxAge = null
+        }
+
+        warnRepoEntries(configFiles, snapshot, options.repositoryPrecedence)
+        await checkLoginCasing(configFiles, snapshot, core.getBooleanInput('fix-login-casing'))
+        const orderedConfigs = orderByParent(configs).filter(config => selectedConfigs.includes(config))
+
+        // People are invited to the organization with their role before they are added to teams
+        if (orgConfig) {
+            try {
+                await syncOrgMembers(octokit, orgName, orgConfig, configs, plan, options, snapshot)
+            } catch (error) {
+                if (failFast) {
+                    throw error
+                }
+                failures.push({ team: orgName, file: orgConfigPath, step: 'org', message: error instanceof Error ? error.message : String(error) })
+                core.error(`Failed to synchronize the members of ${orgName}: ${error instanceof Error ? error.message : String(error)}`)
+            }
+        }
+        // Checked after the organization invitations, so people just invited count as members
+        const memberProblems = await checkMembers(octokit, orgName, selectedConfigs, snapshot, getMemberPolicy(), options)
+
+        // Parent teams must exist before their children can reference them, so each team waits for its parent
+        const limitTeams = createLimiter(concurrency)
+        const syncedTeams = new Map<string, Promise<void>>()
+        const filesBySlug = new Map([...configFiles].map(([file, config]) => [config.slug, file]))
+        for (const config of orderedConfigs) {
+            const parentSynced = (config.parent && syncedTeams.get(config.parent)) || Promise.resolve()
+            const synced = parentSynced
+                .catch(() => {
+                    throw new SyncStepError('parent', `Parent team ${config.parent} failed to synchronize`)
+                })
+                .then(() => limitTeams(async () => {
+                    // With fail-fast, teams that have not started yet are skipped after the first failure
+                    if (failFast && failures.length > 0) {
+                        throw new SyncStepError('team', 'Skipped after an earlier failure')
+                    }
+                    const memberProblem = memberProblems.get(config.slug)
+                    if (memberProblem) {
+                        throw new SyncStepError('members', memberProblem)
+                    }
+                    await syncTeam(octokit, orgName, config, plan, options, snapshot)
+                }))
+                .catch(error => {
+                    const step = error instanceof SyncStepError ? error.step : 'team'
+                    failures.push({ team: config.slug, file: filesBySlug.get(config.slug), step, message: error instanceof Error ? error.message : String(error) })
+                    core.error(`Failed to synchronize ${config.slug} (${step}): ${error instanceof Error ? error.message : String(error)}`)
+                    throw error
+                })
+            syncedTeams.set(config.slug, synced)
+        }
+        await Promise.allSettled(syncedTeams.values())
+        if (failFast && failures.length > 0) {
+            throw new Error(`Failed to synchronize ${failures[0].team} (${failures[0].step}): ${failures[0].message}`)
+        }
+
+        if (!allConfigsLoaded) {
+            core.warning('Skipping team deletion, organization member removal and invitation cancellation because some configuration files could not be loaded')
+        } else {
+            if (changedFiles) {
+                failures.push(...await removeDeletedTeams(octokit, orgName, changedFiles, configs, pruneIgnore, plan, snapshot))
+            }
+
+            if (pruneMode !== 'none') {
+                // Undeclared teams are drift, so record them in the plan instead of only logging them
+                failures.push(...await pruneTeams(octokit, orgName, configs, mode === 'detect' ? 'delete' : pruneMode, pruneIgnore, plan, snapshot))
+            }
+
+            if (orgConfig) {
+                try {
+                    await pruneOrgMembers(octokit, orgName, orgConfig, configs, mode === 'detect' || core.getBooleanInput('prune-org-members'), plan, options, snapshot)
+                } catch (error) {
+                    failures.push({ team: orgName, file: orgConfigPath, step: 'prune', message: error instanceof Error ? error.message : String(error) })
+                    core.error(`Failed to remove undeclared members of ${orgName}: ${error instanceof Error ? error.message : String(error)}`)
+                }
+            }
+        }
+
+        await reportRateLimit(octokit)
+        await reportFailures(failures)
+
+        if (mode === 'detect') {
+            await reportDrift(plan)
+            return
         }
 
-        core.setOutput('result', 'Team synchronization completed successfully')
+        reportPlan(plan)
+        if (isPullRequest) {
+            await postPlanComment(octokit, plan)
+        }
+        core.setOutput('plan', JSON.stringify(plan.changes))
+        if (failures.length > 0) {
+            core.setOutput('result', `${failures.length} team(s) failed to synchronize`)
+        } else {
+            core.setOutput('result', plan.dryRun
+                ? `Dry run completed: ${plan.changes.length} change(s) planned`
+                : 'Team synchronization completed successfully')
+        }
     } catch (error) {
         handleError(error)
     }
 }
 
-async function getChangedFiles(): Promise<string[]> {
-    const token = core.getInput('github-token', { required: true });
-    const octokit = github.getOctokit(token);
+/**
+ * Creates an Octokit instance that waits out primary and secondary rate limits and retries transient server errors.
+ * @param token - The GitHub token.
+ * @param maxRetries - How many times a rate-limited or failed request is retried.
+ * @returns The Octokit instance.
+ * @throws Error if maxRetries is not a non-negative integer.
+ */
+function createOctokit(token: string, maxRetries: number): ReturnType<typeof github.getOctokit> {
+    if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+        throw new Error(`Invalid max-retries value: ${core.getInput('max-retries')}. Expected a non-negative integer`)
+    }
+
+    // Returning true from a rate limit handler retries the request after retryAfter seconds
+    const onLimit = (kind: string) => (retryAfter: number, options: { method: string, url: string }, _octokit: unknown, retryCount: number) => {
+        if (retryCount < maxRetries) {
+            core.warning(`${kind} rate limit hit for ${options.method} ${options.url}, retrying in ${retryAfter} seconds`)
+            return true
+        }
+        core.warning(`${kind} rate limit hit for ${options.method} ${options.url}, giving up after ${retryCount} retries`)
+        return false
+    }
+
+    return github.getOctokit(token, {
+        throttle: {
+            onRateLimit: onLimit('Primary'),
+            onSecondaryRateLimit: onLimit('Secondary'),
+        },
+        // Retries 5xx responses with an increasing delay; rate-limit responses are handled by the throttle
+        request: { retries: maxRetries },
+    }, retry, throttling)
+}
+
+/**
+ * Logs the remaining API quota and sets it as outputs.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ */
+async function reportRateLimit(octokit: ReturnType<typeof github.getOctokit>): Promise<void> {
+    try {
+        const { data } = await octokit.rest.rateLimit.get()
+        const { core: rest, graphql } = data.resources
+        core.info(`Remaining API quota: ${rest.remaining}/${rest.limit} REST requests, ${graphql?.remaining ?? 'unknown'}/${graphql?.limit ?? 'unknown'} GraphQL points, resets at ${new Date(rest.reset * 1000).toISOString()}`)
+        core.setOutput('rate-limit-remaining', String(rest.remaining))
+        core.setOutput('graphql-rate-limit-remaining', String(graphql?.remaining ?? ''))
+    } catch (error) {
+        core.warning(`Failed to fetch the remaining API quota: ${error instanceof Error ? error.message : String(error)}`)
+    }
+}
+
+/**
+ * Reads and validates the concurrency input.
+ * @returns The maximum number of teams, and of API mutations, processed at the same time.
+ * @throws Error if the input is not a positive integer.
+ */
+function getConcurrency(): number {
+    const concurrency = Number(core.getInput('concurrency') || '4')
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`Invalid concurrency value: ${core.getInput('concurrency')}. Expected a positive integer`)
+    }
+    return concurrency
+}
+
+/**
+ * Creates a limiter that runs at most the given number of tasks at the same time, in the order they were submitted.
+ * @param concurrency - The maximum number of tasks running at the same time.
+ * @returns The limiter.
+ */
+function createLimiter(concurrency: number): Limiter {
+    let running = 0
+    const waiting: (() => void)[] = []
+    return async <T>(task: () => Promise<T>): Promise<T> => {
+        if (running >= concurrency) {
+            // The finishing task hands its slot over, so running is not decremented in between
+            await new Promise<void>(resolve => waiting.push(resolve))
+        } else {
+            running++
+        }
+        try {
+            return await task()
+        } finally {
+            const next = waiting.shift()
+            if (next) {
+                next()
+            } else {
+                running--
+            }
+        }
+    }
+}
+
+/**
+ * Reads and validates the mode input.
+ * @returns Whether to enforce the configuration or only detect drift from it.
+ * @throws Error if the input is not one of the supported modes.
+ */
+function getSyncMode(): SyncMode {
+    const mode = core.getInput('mode') || 'enforce'
+    if (mode !== 'enforce' && mode !== 'detect') {
+        throw new Error(`Invalid mode value: ${mode}. Expected enforce or detect`)
+    }
+    return mode
+}
+
+/**
+ * Reads and validates the snapshot-source input.
+ * @returns The API used to load the organization snapshot.
+ * @throws Error if the input is not one of the supported sources.
+ */
+function getSnapshotSource(): SnapshotSource {
+    const source = core.getInput('snapshot-source') || 'rest'
+    if (source !== 'rest' && source !== 'graphql') {
+        throw new Error(`Invalid snapshot-source value: ${source}. Expected rest or graphql`)
+    }
+    return source
+}
+
+/**
+ * Reads and validates the cancel-invitations-after input.
+ * @returns The age in days after which pending invitations are cancelled, or null if they are never cancelled.
+ * @throws Error if the input is not a positive integer.
+ */
+function getInvitationMaxAge(): number | null {
+    const input = core.getInput('cancel-invitations-after')
+    if (!input) {
+        return null
+    }
+    const days = Number(input)
+    if (!Number.isInteger(days) || days < 1) {
+        throw new Error(`Invalid cancel-invitations-after value: ${input}. Expected a positive number of days`)
+    }
+    return days
+}
+
+/**
+ * Reads and validates the member-policy input.
+ * @returns What to do with listed logins that do not exist or are not members of the organization.
+ * @throws Error if the input is not one of the supported policies.
+ */
+function getMemberPolicy(): MemberPolicy {
+    const policy = core.getInput('member-policy') || 'invite'
+    if (policy !== 'fail' && policy !== 'warn' && policy !== 'invite') {
+        throw new Error(`Invalid member-policy value: ${policy}. Expected fail, warn or invite`)
+    }
+    return policy
+}
+
+/**
+ * Reads and validates the prune-teams input.
+ * @returns The prune mode.
+ * @throws Error if the input is not one of the supported modes.
+ */
+function getPruneMode(): PruneMode {
+    const pruneMode = core.getInput('prune-teams') || 'none'
+    if (pruneMode !== 'none' && pruneMode !== 'report' && pruneMode !== 'delete') {
+        throw new Error(`Invalid prune-teams value: ${pruneMode}. Expected none, report or delete`)
+    }
+    return pruneMode
+}
+
+/**
+ * Reads and validates the repository-precedence input.
+ * @returns The rule used to pick a permission when several repository patterns match.
+ * @throws Error if the input is not one of the supported rules.
+ */
+function getRepositoryPrecedence(): RepositoryPrecedence {
+    const precedence = core.getInput('repository-precedence') || 'specificity'
+    if (precedence !== 'specificity' && precedence !== 'highest-permission') {
+        throw new Error(`Invalid repository-precedence value: ${precedence}. Expected specificity or highest-permission`)
+    }
+    return precedence
+}
+
+/**
+ * Reads an input containing a list of values separated by newlines or commas.
+ * @param name - The name of the input.
+ * @returns The non-empty values of the list.
+ */
+function getListInput(name: string): string[] {
+    return core.getInput(name)
+        .split(/[\n,]/)
+        .map(value => value.trim())
+        .filter(value => value.length > 0)
+}
 
-    const push = github.context.payload.push;
+/**
+ * Configuration files changed between the two commits of a push or pull request.
+ */
+interface ChangedFiles {
+    changed: string[]
+    removed: string[]
+    // The commit the removed files can still be read from
+    baseRef: string
+}
 
-    if (!push) {
-        core.info('This is not a push event');
-        return [];
+/**
+ * Determines which configuration files changed in the push or pull request that triggered the run.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param configPath - The path to the directory containing the configuration files.
+ * @returns The changed and removed configuration files, or null if every team should be synchronized.
+ */
+async function getChangedFiles(octokit: ReturnType<typeof github.getOctokit>, configPath: string): Promise<ChangedFiles | null> {
+    const { eventName, payload } = github.context
+    let base: string | undefined
+    let head: string | undefined
+    if (eventName === 'push') {
+        base = payload.before
+        head = payload.after
+    } else if (eventName === 'pull_request') {
+        base = payload.pull_request?.base?.sha
+        head = payload.pull_request?.head?.sha
     }
 
-    const { before, after } = push;
+    // A new branch has no previous commit to compare against
+    if (!base || !head || /^0+$/.test(base)) {
+        core.info(`Full sync: no previous commit to compare against for the ${eventName} event`)
+        return null
+    }
 
     try {
         const response = await octokit.rest.repos.compareCommits({
             owner: github.context.repo.owner,
             repo: github.context.repo.repo,
-            base: before,
-            head: after,
-        });
+            base,
+            head,
+        })
+
+        const files = response.data.files ?? []
+        // The comparison lists at most 300 files, so larger changes may be incomplete
+        if (files.length >= 300) {
+            core.info('Full sync: too many files changed to compare')
+            return null
+        }
 
-        const changedFiles = response.data.files?.map(file => file.filename) || [];
+        // Filter for only configuration files in the configuration directory
+        const configDir = path.relative(process.cwd(), path.resolve(configPath)).split(path.sep).join('/')
+        const isTeamConfig = (file: string) => path.posix.dirname(file) === configDir && isConfigFile(file)
 
-        // Filter for only .json files in the 'teams/' directory
-        return changedFiles.filter(file => file.startsWith('teams/') && file.endsWith('.json'));
+        const changedFiles: ChangedFiles = { changed: [], removed: [], baseRef: base }
+        for (const file of files) {
+            if (file.status === 'removed') {
+                if (isTeamConfig(file.filename)) {
+                    changedFiles.removed.push(file.filename)
+                }
+                continue
+            }
+            if (isTeamConfig(file.filename)) {
+                changedFiles.changed.push(file.filename)
+            }
+            if (file.status === 'renamed' && file.previous_filename && isTeamConfig(file.previous_filename)) {
+                changedFiles.removed.push(file.previous_filename)
+            }
+        }
+        return changedFiles
     } catch (error) {
-        core.warning(`Failed to fetch changed files: ${error instanceof Error ? error.message : String(error)}`);
-        return [];
+        core.warning(`Failed to fetch changed files, falling back to a full sync: ${error instanceof Error ? error.message : String(error)}`)
+        return null
+    }
+}
+
+/**
+ * Selects the teams to synchronize: those whose file changed, and every team nested below them.
+ * @param configFiles - A map from configuration file to the configuration object it declares.
+ * @param changedFiles - The changed configuration files.
+ * @returns The configuration objects to synchronize.
+ */
+function selectChangedTeams(configFiles: Map<string, TeamConfig>, changedFiles: string[]): TeamConfig[] {
+    const changedPaths = changedFiles.map(file => path.resolve(file))
+    const selectedSlugs = new Set<string>()
+    for (const [file, config] of configFiles) {
+        if (changedPaths.includes(path.resolve(file))) {
+            selectedSlugs.add(config.slug)
+        }
+    }
+
+    // Child teams depend on their parent, so keep adding children until there are no new ones
+    const configs = [...configFiles.values()]
+    let size = -1
+    while (size !== selectedSlugs.size) {
+        size = selectedSlugs.size
+        for (const config of configs) {
+            if (config.parent && selectedSlugs.has(config.parent)) {
+                selectedSlugs.add(config.slug)
+            }
+        }
+    }
+    return configs.filter(config => selectedSlugs.has(config.slug))
+}
+
+/**
+ * Deletes the teams declared in configuration files that were removed, unless another file still declares them.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param changedFiles - The changed configuration files, including the removed ones.
+ * @param configs - The configuration objects of all declared teams.
+ * @param ignorePatterns - Slugs or patterns of teams that are managed elsewhere and must be left alone.
+ * @param plan - The plan that records every change made or planned.
+ * @param snapshot - The state of the organization at the start of the run.
+ * @returns The removed files whose team could not be deleted, with the reason.
+ */
+async function removeDeletedTeams(octokit: ReturnType<typeof github.getOctokit>, orgName: string, changedFiles: ChangedFiles, configs: TeamConfig[], ignorePatterns: string[], plan: SyncPlan, snapshot: OrgSnapshot): Promise<SyncFailure[]> {
+    const failures: SyncFailure[] = []
+    for (const file of changedFiles.removed) {
+        let slug = path.basename(file, path.extname(file))
+        try {
+            const { data } = await octokit.rest.repos.getContent({
+                owner: github.context.repo.owner,
+                repo: github.context.repo.repo,
+                path: file,
+                ref: changedFiles.baseRef,
+            })
+            if (Array.isArray(data) || data.type !== 'file') {
+                continue
+            }
+            slug = parseConfig(file, Buffer.from(data.content, 'base64').toString('utf8')).slug
+            const renamedTo = configs.find(config => config.previous_slugs?.includes(slug))
+            if (configs.some(config => config.slug === slug)) {
+                core.info(`${file} was removed, but team ${slug} is still declared in another file`)
+            } else if (renamedTo) {
+                core.info(`${file} was removed, but team ${slug} is renamed to ${renamedTo.slug}`)
+            } else if (ignorePatterns.some(pattern => matchRepoPattern(slug, pattern))) {
+                core.info(`${file} was removed, but team ${slug} is in prune-ignore and is kept`)
+            } else if (configs.some(config => config.parent === slug)) {
+                // Deleting a parent team also deletes its children
+                core.warning(`${file} was removed, but team ${slug} is kept because it is the parent of a declared team`)
+            } else {
+                const team = snapshot.teams.get(slug)
+                if (team) {
+                    await deleteTeam(octokit, orgName, team, plan)
+                }
+            }
+        } catch (error) {
+            failures.push({ team: slug, file, step: 'prune', message: error instanceof Error ? error.message : String(error) })
+            core.error(`Failed to delete the team of removed file ${file}: ${error instanceof Error ? error.message : String(error)}`)
+        }
     }
+    return failures
+}
+
+/**
+ * Checks whether a file is a team configuration file, based on its extension.
+ * @param file - The file name or path.
+ * @returns True if the file is a JSON, JSONC or YAML file, otherwise false.
+ */
+function isConfigFile(file: string): boolean {
+    return CONFIG_EXTENSIONS.includes(path.extname(file).toLowerCase())
 }
 
 /**
- * Reads and parses the configuration file.
+ * Reads and parses the configuration file, choosing the parser by file extension.
  * @param configPath - The path to the configuration file.
  * @returns The parsed configuration object.
+ * @throws Error with the file, line and column if the file cannot be parsed.
  */
-async function getConfig(configPath: string): Promise<TeamConfig> {
+async function getConfig<T = TeamConfig>(configPath: string): Promise<T> {
     const fullPath = path.resolve(process.cwd(), configPath)
     const configContent = await fs.promises.readFile(fullPath, 'utf8')
-    return JSON.parse(configContent)
+    return parseConfig<T>(configPath, configContent)
+}
+
+/**
+ * Parses the content of a configuration file, choosing the parser by file extension.
+ * @param configPath - The path to the configuration file.
+ * @param configContent - The content of the configuration file.
+ * @returns The parsed configuration object.
+ * @throws Error with the file, line and column if the content cannot be parsed.
+ */
+function parseConfig<T = TeamConfig>(configPath: string, configContent: string): T {
+    switch (path.extname(configPath).toLowerCase()) {
+        case '.yaml':
+        case '.yml':
+            return parseYamlConfig<T>(configPath, configContent)
+        case '.jsonc':
+            return parseJsonConfig<T>(configPath, configContent, true)
+        default:
+            return parseJsonConfig<T>(configPath, configContent, false)
+    }
+}
+
+/**
+ * Parses a JSON configuration file, optionally allowing comments and trailing commas.
+ * @param configPath - The path to the configuration file, used in error messages.
+ * @param configContent - The content of the configuration file.
+ * @param allowComments - Whether to accept JSONC comments and trailing commas.
+ * @returns The parsed configuration object.
+ * @throws Error with the file, line and column of the first parse error.
+ */
+function parseJsonConfig<T>(configPath: string, configContent: string, allowComments: boolean): T {
+    const errors: jsonc.ParseError[] = []
+    const config = jsonc.parse(configContent, errors, {
+        disallowComments: !allowComments,
+        allowTrailingComma: allowComments,
+        allowEmptyContent: false,
+    })
+    if (errors.length > 0) {
+        const [error] = errors
+        throw new Error(formatParseError(configPath, configContent, error.offset, jsonc.printParseErrorCode(error.error)))
+    }
+    return config
+}
+
+/**
+ * Parses a YAML configuration file.
+ * @param configPath - The path to the configuration file, used in error messages.
+ * @param configContent - The content of the configuration file.
+ * @returns The parsed configuration object.
+ * @throws Error with the file, line and column of the first parse error.
+ */
+function parseYamlConfig<T>(configPath: string, configContent: string): T {
+    const document = YAML.parseDocument(configContent, { prettyErrors: false })
+    if (document.errors.length > 0) {
+        const [error] = document.errors
+        throw new Error(formatParseError(configPath, configContent, error.pos[0], error.message))
+    }
+    return document.toJS()
+}
+
+/**
+ * Formats a parse error with the file, line and column where it occurred.
+ * @param configPath - The path to the configuration file.
+ * @param configContent - The content of the configuration file.
+ * @param offset - The character offset of the error in the content.
+ * @param message - The parser's error message.
+ * @returns The formatted error message.
+ */
+function formatParseError(configPath: string, configContent: string, offset: number, message: string): string {
+    const lines = configContent.slice(0, offset).split('\n')
+    const line = lines.length
+    const column = lines[lines.length - 1].length + 1
+    return `Failed to parse ${configPath} at line ${line}, column ${column}: ${message}`
+}
+
+/**
+ * Validates the configuration object against the schema.
+ * @param config - The configuration object to validate.
+ * @throws Error if the configuration is invalid.
+ */
+function validateConfig(config: any): asserts config is TeamConfig {
+    // Checked before the schema, whose errors for unknown keys and enum values do not name them
+    const unknownKeys = config && typeof config === 'object' && !Array.isArray(config)
+        ? Object.keys(config).filter(key => !(key in configSchema.properties))
+        : []
+    if (unknownKeys.length > 0) {
+        throw new Error(`Invalid configuration: unknown ${unknownKeys.length === 1 ? 'key' : 'keys'} ${unknownKeys.join(', ')}, expected ${Object.keys(configSchema.properties).join(', ')}`)
+    }
+    for (const [pattern, permission] of Object.entries(config?.repositories ?? {})) {
+        if (typeof permission === 'string' && !PERMISSION_LEVELS.includes(permission)) {
+            throw new Error(`Invalid configuration: unknown permission ${permission} for repository entry ${pattern}, expected one of ${PERMISSION_LEVELS.join(', ')}`)
+        }
+    }
+    const ajv = new Ajv()
+    const validate = ajv.compile<TeamConfig>(configSchema)
+    if (!validate(config)) {
+        throw new Error(`Invalid configuration: ${ajv.errorsText(validate.errors)}`)
+    }
+    const derivedSlug = getSlugForName(config.name)
+    if (derivedSlug !== config.slug) {
+        throw new Error(`Invalid configuration: GitHub derives the slug of team ${config.name} from its name, which gives ${derivedSlug} instead of ${config.slug}`)
+    }
+    Object.keys(config.repositories ?? {}).forEach(validateRepoPattern)
+}
+
+/**
+ * Validates the organization membership file against the schema.
+ * @param config - The organization membership object to validate.
+ * @throws Error if the file is invalid or declares no owner.
+ */
+function validateOrgConfig(config: any): asserts config is OrgConfig {
+    const ajv = new Ajv()
+    const validate = ajv.compile<OrgConfig>(orgConfigSchema)
+    if (!validate(config)) {
+        throw new Error(`Invalid organization configuration: ${ajv.errorsText(validate.errors)}`)
+    }
+    // Without an owner, applying the file would demote every owner and lock everyone out of the organization
+    if (config.owners.length === 0) {
+        throw new Error('Invalid organization configuration: at least one owner must be declared')
+    }
+}
+
+/**
+ * Checks that applying the organization file keeps the account behind the token an owner. Demoting or removing it
+ * would revoke the token's own access partway through the run.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param orgConfig - The organization membership configuration.
+ * @param snapshot - The state of the organization at the start of the run.
+ * @returns Why the file cannot be applied, or null if it can.
+ */
+async function validateOrgOwners(octokit: ReturnType<typeof github.getOctokit>, orgName: string, orgConfig: OrgConfig, snapshot: OrgSnapshot): Promise<string | null> {
+    const login = await getAuthenticatedLogin(octokit)
+    if (!login) {
+        return null
+    }
+    const { members: currentMembers } = await getCurrentOrgMembers(octokit, orgName, snapshot)
+    const isOwner = currentMembers.get(normalizeLogin(login))?.role === 'admin'
+    if (isOwner && !orgConfig.owners.some(owner => normalizeLogin(owner) === normalizeLogin(login))) {
+        return `${login}, the account of the github-token, is an owner of ${orgName} but is not declared in owners`
+    }
+    return null
+}
+
+/**
+ * Retrieves the login of the user the token belongs to.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @returns The login, or null for tokens that do not belong to a user, such as GitHub App installation tokens.
+ */
+async function getAuthenticatedLogin(octokit: ReturnType<typeof github.getOctokit>): Promise<string | null> {
+    try {
+        const { data: user } = await octokit.rest.users.getAuthenticated()
+        return user.login
+    } catch (error) {
+        if (error instanceof Error && 'status' in error && (error as any).status === 403) {
+            return null
+        }
+        throw error
+    }
+}
+
+/**
+ * Derives a team slug from a team name the way GitHub does: accents are dropped, the name is lowercased, and every
+ * run of characters other than letters, digits, hyphens and underscores becomes a single hyphen.
+ * @param name - The name of the team.
+ * @returns The slug GitHub gives a team with this name.
+ */
+function getSlugForName(name: string): string {
+    return name
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\-_]+/g, '-')
+        .replace(/-{2,}/g, '-')
+        .replace(/^-|-$/g, '')
+}
+
+/**
+ * Validates the configuration files against each other. Slugs, previous slugs or names declared in more than one file are errors;
+ * file names that do not match the slug and logins listed twice are only warnings. Invalid parent references are errors
+ * for the team and every team nested below it.
+ * @param configFiles - A map from configuration file to the configuration object it declares.
+ * @param snapshot - The state of the organization at the start of the run.
+ * @returns The files that must be skipped, with the reason.
+ */
+function validateConfigSet(configFiles: Map<string, TeamConfig>, snapshot: OrgSnapshot): SyncFailure[] {
+    const failures: SyncFailure[] = []
+    const entries = [...configFiles]
+    for (const [file, config] of entries) {
+        const sameSlug = entries.filter(([otherFile, other]) => otherFile !== file && other.slug === config.slug)
+        if (sameSlug.length > 0) {
+            failures.push({ team: config.slug, file, step: 'validate', message: `Slug ${config.slug} is also declared in ${sameSlug.map(([otherFile]) => otherFile).join(', ')}` })
+            continue
+        }
+        // GitHub compares team names case-insensitively
+        const sameName = entries.filter(([otherFile, other]) => otherFile !== file && other.name.toLowerCase() === config.name.toLowerCase())
+        if (sameName.length > 0) {
+            failures.push({ team: config.slug, file, step: 'validate', message: `Name ${config.name} is also declared in ${sameName.map(([otherFile]) => otherFile).join(', ')}` })
+            continue
+        }
+        // A previous slug that is still in use would make two files manage the same team
+        const reusedSlugs = (config.previous_slugs ?? []).filter(previousSlug => entries.some(([, other]) =>
+            other.slug === previousSlug || (other !== config && other.previous_slugs?.includes(previousSlug))
+        ))
+        if (reusedSlugs.length > 0) {
+            failures.push({ team: config.slug, file, step: 'validate', message: `Previous slug ${reusedSlugs.join(', ')} is also declared in another file` })
+            continue
+        }
+
+        const fileName = path.basename(file, path.extname(file))
+        if (fileName !== config.slug) {
+            core.warning(`${file} declares team ${config.slug}; consider naming the file ${config.slug}${path.extname(file)}`)
+        }
+        for (const list of ['members', 'maintainers'] as const) {
+            const logins = (config[list] ?? []).map(normalizeLogin)
+            const duplicates = logins.filter((login, index) => logins.indexOf(login) !== index)
+            if (duplicates.length > 0) {
+                core.warning(`${file} lists ${[...new Set(duplicates)].join(', ')} more than once in ${list}`)
+            }
+        }
+    }
+
+    // Parents are resolved among the files that passed, and children of an invalid team are skipped along with it
+    const validEntries = entries.filter(([file]) => !failures.some(failure => failure.file === file))
+    const configsBySlug = new Map(validEntries.map(([, config]) => [config.slug, config]))
+    const invalidSlugs = new Set<string>()
+    for (const [file, config] of validEntries) {
+        const problem = getParentProblem(config, configsBySlug, snapshot)
+        if (problem) {
+            failures.push({ team: config.slug, file, step: 'parent', message: problem })
+            invalidSlugs.add(config.slug)
+        }
+    }
+    let size = -1
+    while (size !== invalidSlugs.size) {
+        size = invalidSlugs.size
+        for (const [file, config] of validEntries) {
+            if (config.parent && invalidSlugs.has(config.parent) && !invalidSlugs.has(config.slug)) {
+                failures.push({ team: config.slug, file, step: 'parent', message: `Parent team ${config.parent} is invalid` })
+                invalidSlugs.add(config.slug)
+            }
+        }
+    }
+    return failures
+}
+
+/**
+ * Checks the parent reference of a team.
+ * @param config - The configuration object for the team.
+ * @param configsBySlug - The configuration objects of all valid teams, by slug.
+ * @param snapshot - The state of the organization at the start of the run.
+ * @returns Why the parent is invalid, or null if it is valid: the parent does not exist, a secret team is nested,
+ * or the parents form a cycle.
+ */
+function getParentProblem(config: TeamConfig, configsBySlug: Map<string, TeamConfig>, snapshot: OrgSnapshot): string | null {
+    if (!config.parent) {
+        return null
+    }
+    if (config.privacy === 'secret') {
+        return `Team ${config.slug} is secret and cannot have a parent team`
+    }
+    const parentConfig = configsBySlug.get(config.parent)
+    if (parentConfig?.privacy === 'secret') {
+        return `Team ${config.parent} is secret and cannot be the parent of ${config.slug}`
+    }
+    if (!parentConfig && !snapshot.teams.has(config.parent)) {
+        return `Parent team ${config.parent} of ${config.slug} does not exist in the configuration or the organization`
+    }
+
+    // Walk up the hierarchy, preferring the configured parent over the current one in the organization
+    const ancestors = [config.slug]
+    let current: string | null | undefined = config.parent
+    while (current) {
+        if (ancestors.includes(current)) {
+            return `Parent teams form a cycle: ${[...ancestors, current].join(' -> ')}`
+        }
+        ancestors.push(current)
+        const currentConfig = configsBySlug.get(current)
+        current = currentConfig && currentConfig.parent !== undefined
+            ? currentConfig.parent
+            : snapshot.teams.get(current)?.parent?.slug
+    }
+    return null
+}
+
+/**
+ * Warns about repository entries that match no repository in the organization, which usually indicates a typo, and
+ * about entries of the same team that match the same repository with different permissions.
+ * @param configFiles - A map from configuration file to the configuration object it declares.
+ * @param snapshot - The state of the organization at the start of the run.
+ * @param precedence - How to pick the permission when several entries match the same repository.
+ */
+function warnRepoEntries(configFiles: Map<string, TeamConfig>, snapshot: OrgSnapshot, precedence: RepositoryPrecedence): void {
+    for (const [file, config] of configFiles) {
+        for (const pattern of Object.keys(config.repositories ?? {})) {
+            const positivePattern = pattern.startsWith('!') ? pattern.slice(1) : pattern
+            if (!snapshot.repos.some(repo => matchRepoEntry(repo, positivePattern))) {
+                core.warning(`${file}: repository entry ${pattern} does not match any repository in the organization`)
+            }
+        }
+
+        // Warn once per combination of patterns that disagree on the permission
+        const reportedOverlaps = new Set<string>()
+        for (const repo of snapshot.repos) {
+            const { permission, matches } = getRepoAccess(repo, config.repositories ?? {}, precedence)
+            const overlap = matches.map(([pattern, matchPermission]) => `${pattern} (${matchPermission})`).join(', ')
+            if (new Set(matches.map(([, matchPermission]) => matchPermission)).size > 1 && !reportedOverlaps.has(overlap)) {
+                reportedOverlaps.add(overlap)
+                core.warning(`${file}: repository entries overlap with different permissions: ${overlap}. ${repo.name} gets ${permission}`)
+            }
+        }
+    }
+}
+
+/**
+ * Checks that every login listed in the teams is a GitHub user and a member of the organization, and applies the
+ * member policy to those that are not: fail the team, or warn and leave the login out. With the invite policy,
+ * users who are not members yet are invited when they are added to the team, and only unknown logins are left out.
+ * Users with a pending invitation to the organization count as members.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param configs - The configuration objects of the teams that are synchronized.
+ * @param snapshot - The state of the organization at the start of the run.
+ * @param policy - What to do with logins that do not exist or are not members of the organization.
+ * @param options - The run-wide synchronization settings, whose excluded logins are updated.
+ * @returns A map from the slug of each team that must fail to the reason.
+ */
+async function checkMembers(octokit: ReturnType<typeof github.getOctokit>, orgName: string, configs: TeamConfig[], snapshot: OrgSnapshot, policy: MemberPolicy, options: SyncOptions): Promise<Map<string, string>> {
+    const failedTeams = new Map<string, string>()
+    const invited = await getOrgInvitations(octokit, orgName)
+    for (const config of configs) {
+        const problems: string[] = []
+        for (const login of getDesiredMembers(config).keys()) {
+            if (snapshot.members.some(member => normalizeLogin(member) === normalizeLogin(login)) || invited.has(normalizeLogin(login))) {
+                continue
+            }
+            if (!await userExists(octokit, login)) {
+                problems.push(`${login} does not exist on GitHub (a typo, or a renamed or deleted account)`)
+                options.excludedLogins.add(normalizeLogin(login))
+            } else if (policy === 'invite') {
+                core.info(`${login} is not a member of ${orgName} and will be invited when added to ${config.slug}`)
+            } else {
+                problems.push(`${login} is not a member of ${orgName}`)
+                options.excludedLogins.add(normalizeLogin(login))
+            }
+        }
+
+        if (problems.length === 0) {
+            continue
+        }
+        if (policy === 'fail') {
+            failedTeams.set(config.slug, problems.join('; '))
+        } else {
+            problems.forEach(problem => core.warning(`${config.slug}: ${problem}; not adding them to the team`))
+        }
+    }
+    return failedTeams
+}
+
+/**
+ * Checks whether a GitHub user exists.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param login - The login of the user.
+ * @returns True if the user exists, otherwise false.
+ */
+async function userExists(octokit: ReturnType<typeof github.getOctokit>, login: string): Promise<boolean> {
+    return await cachedRead(`user:${login}`, async () => {
+        try {
+            await octokit.rest.users.getByUsername({ username: login })
+            return true
+        } catch (error) {
+            if (error instanceof Error && 'status' in error && (error as any).status === 404) {
+                return false
+            }
+            throw error
+        }
+    })
+}
+
+/**
+ * Synchronizes the team by creating or updating it, and then syncing members and repositories.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param config - The configuration object for the team.
+ * @param plan - The plan that records every change made or planned.
+ * @param options - The run-wide synchronization settings.
+ * @param snapshot - The state of the organization at the start of the run.
+ */
+async function syncTeam(octokit: ReturnType<typeof github.getOctokit>, orgName: string, config: TeamConfig, plan: SyncPlan, options: SyncOptions, snapshot: OrgSnapshot): Promise<void> {
+    const team = await withStep('team', () => createOrUpdateTeam(octokit, orgName, config, plan, snapshot))
+    if (!team) {
+        // The team only exists in the plan, so everything in the config is an addition.
+        await withStep('members', () => addNewMembers(octokit, orgName, config.slug, getDesiredMembers(config, options.excludedLogins), new Map(), plan, options))
+        await withStep('repositories', () => syncRepositories(octokit, orgName, config.slug, config.repositories, plan, options, snapshot, []))
+        return
+    }
+    core.info(`Team ${config.name} (ID: ${team.id}) synchronized`)
+
+    // In dry-run mode a renamed team still has its previous slug
+    await withStep('members', () => syncMembers(octokit, orgName, team.slug, getDesiredMembers(config, options.excludedLogins), plan, options))
+    await withStep('repositories', () => syncRepositories(octokit, orgName, team.slug, config.repositories, plan, options, snapshot))
+}
+
+/**
+ * Runs a step of a team sync, tagging any error it throws with the step.
+ * @param step - The step being run.
+ * @param task - The function that runs the step.
+ * @returns The result of the step.
+ * @throws SyncStepError if the step fails.
+ */
+async function withStep<T>(step: SyncStep, task: () => Promise<T>): Promise<T> {
+    try {
+        return await task()
+    } catch (error) {
+        throw new SyncStepError(step, error)
+    }
+}
+
+/**
+ * Creates or updates a team in the organization.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param config - The configuration object for the team.
+ * @param plan - The plan that records every change made or planned.
+ * @param snapshot - The state of the organization at the start of the run.
+ * @returns The team object containing the team ID and slug, or null if the team would only be created in dry-run mode.
+ */
+async function createOrUpdateTeam(octokit: ReturnType<typeof github.getOctokit>, orgName: string, config: TeamConfig, plan: SyncPlan, snapshot: OrgSnapshot): Promise<{ id: number, slug: string } | null> {
+    const team = findTeam(config, snapshot)
+    if (team) {
+        return await updateTeam(octokit, orgName, config, team, plan)
+    } else {
+        return await createTeam(octokit, orgName, config, plan)
+    }
+}
+
+/**
+ * Finds the existing team for a configuration, by its slug or, if the team has been renamed, by a previous slug.
+ * @param config - The configuration object for the team.
+ * @param snapshot - The state of the organization at the start of the run.
+ * @returns The existing team, or undefined if the team does not exist yet.
+ */
+function findTeam(config: TeamConfig, snapshot: OrgSnapshot): ExistingTeam | undefined {
+    const previousTeams = (config.previous_slugs ?? [])
+        .map(previousSlug => snapshot.teams.get(previousSlug))
+        .filter(team => team !== undefined)
+    const team = snapshot.teams.get(config.slug)
+    if (team) {
+        for (const previousTeam of previousTeams) {
+            core.warning(`Team ${config.slug} already exists, so ${previousTeam.slug} is not renamed; delete ${previousTeam.slug} or remove it from previous_slugs`)
+        }
+        return team
+    }
+    if (previousTeams.length > 1) {
+        throw new Error(`More than one previous slug of ${config.slug} exists: ${previousTeams.map(previousTeam => previousTeam.slug).join(', ')}`)
+    }
+    return previousTeams[0]
+}
+
+/**
+ * The fields of an existing team that are managed by the configuration.
+ */
+interface ExistingTeam {
+    id: number
+    name: string
+    slug: string
+    description: string | null
+    privacy?: string
+    notification_setting?: string
+    parent?: { id: number, slug: string } | null
+}
+
+/**
+ * Retrieves a team by its slug.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param teamSlug - The slug of the team to retrieve.
+ * @returns The team object if found, otherwise null.
+ */
+async function getTeam(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string): Promise<ExistingTeam | null> {
+    try {
+        const { data: team } = await octokit.rest.teams.getByName({
+            org: orgName,
+            team_slug: teamSlug,
+        })
+        return team
+    } catch (error) {
+        if (error instanceof Error && 'status' in error && (error as any).status === 404) {
+            return null
+        }
+        throw error
+    }
+}
+
+/**
+ * Updates an existing team if its details differ from the configuration.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param config - The configuration object for the team.
+ * @param team - The team as it currently exists in the organization.
+ * @param plan - The plan that records every change made or planned.
+ * @returns The updated team object.
+ * @throws Error if GitHub gave the team a different slug than the configured one.
+ */
+async function updateTeam(octokit: ReturnType<typeof github.getOctokit>, orgName: string, config: TeamConfig, team: ExistingTeam, plan: SyncPlan): Promise<{ id: number, slug: string }> {
+    const differences = getTeamDifferences(config, team)
+    if (differences.length === 0) {
+        return team
+    }
+
+    recordChange(plan, { team: config.slug, action: 'update-team', target: config.name, detail: differences.join(', ') })
+    if (plan.dryRun) {
+        return team
+    }
+
+    const { data: updatedTeam } = await octokit.rest.teams.updateInOrg({
+        org: orgName,
+        team_slug: team.slug,
+        name: config.name,
+        description: config.description,
+        privacy: config.privacy || 'closed',
+        notification_setting: config.notification_setting,
+        parent_team_id: await getParentTeamId(octokit, orgName, config),
+    })
+    core.info(`Team ${config.name} updated`)
+    if (updatedTeam.slug !== config.slug) {
+        throw new Error(`Team ${config.name} has the slug ${updatedTeam.slug} instead of ${config.slug}`)
+    }
+    return updatedTeam
+}
+
+/**
+ * Lists the team details that differ between the configuration and the existing team.
+ * @param config - The configuration object for the team.
+ * @param team - The team as it currently exists in the organization.
+ * @returns A human-readable description of each difference.
+ */
+function getTeamDifferences(config: TeamConfig, team: ExistingTeam): string[] {
+    const differences: string[] = []
+    if (team.slug !== config.slug) {
+        differences.push(`slug: ${team.slug} -> ${config.slug}`)
+    }
+    if (team.name !== config.name) {
+        differences.push(`name: ${team.name} -> ${config.name}`)
+    }
+    if (config.description !== undefined && (team.description ?? '') !== config.description) {
+        differences.push(`description: ${team.description ?? ''} -> ${config.description}`)
+    }
+    const privacy = config.privacy || 'closed'
+    if (team.privacy !== privacy) {
+        differences.push(`privacy: ${team.privacy} -> ${privacy}`)
+    }
+    if (config.notification_setting !== undefined && team.notification_setting !== config.notification_setting) {
+        differences.push(`notification_setting: ${team.notification_setting} -> ${config.notification_setting}`)
+    }
+    const parent = team.parent?.slug ?? null
+    if (config.parent !== undefined && parent !== config.parent) {
+        differences.push(`parent: ${parent ?? 'none'} -> ${config.parent ?? 'none'}`)
+    }
+    return differences
+}
+
+/**
+ * Creates a new team.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param config - The configuration object for the team.
+ * @param plan - The plan that records every change made or planned.
+ * @returns The newly created team object, or null in dry-run mode.
+ * @throws Error if GitHub gave the team a different slug than the configured one.
+ */
+async function createTeam(octokit: ReturnType<typeof github.getOctokit>, orgName: string, config: TeamConfig, plan: SyncPlan): Promise<{ id: number, slug: string } | null> {
+    recordChange(plan, { team: config.slug, action: 'create-team', target: config.name })
+    if (plan.dryRun) {
+        return null
+    }
+
+    const { data: newTeam } = await octokit.rest.teams.create({
+        org: orgName,
+        name: config.name,
+        description: config.description,
+        privacy: config.privacy || 'closed',
+        notification_setting: config.notification_setting,
+        parent_team_id: await getParentTeamId(octokit, orgName, config) ?? undefined,
+    })
+    core.info(`Team ${config.name} created`)
+    if (newTeam.slug !== config.slug) {
+        throw new Error(`Team ${config.name} was created with the slug ${newTeam.slug} instead of ${config.slug}`)
+    }
+    return newTeam
+}
+
+/**
+ * Resolves the configured parent team slug to the parent team's ID.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param config - The configuration object for the team.
+ * @returns The parent team ID, null to remove the parent, or undefined if the parent is not managed.
+ * @throws Error if the parent team does not exist.
+ */
+async function getParentTeamId(octokit: ReturnType<typeof github.getOctokit>, orgName: string, config: TeamConfig): Promise<number | null | undefined> {
+    if (config.parent === undefined || config.parent === null) {
+        return config.parent
+    }
+    const parent = await getTeam(octokit, orgName, config.parent)
+    if (!parent) {
+        throw new Error(`Parent team ${config.parent} of ${config.slug} does not exist`)
+    }
+    return parent.id
+}
+
+/**
+ * Orders the teams so that parents come before their children. The parent references must already have been
+ * validated by validateConfigSet, so they contain no cycle.
+ * @param configs - The configuration objects of all teams.
+ * @returns The configurations in an order where every parent precedes its children.
+ */
+function orderByParent(configs: TeamConfig[]): TeamConfig[] {
+    const configsBySlug = new Map(configs.map(config => [config.slug, config]))
+    const ordered: TeamConfig[] = []
+    const visit = (config: TeamConfig) => {
+        if (ordered.includes(config)) {
+            return
+        }
+        const parentConfig = config.parent ? configsBySlug.get(config.parent) : undefined
+        if (parentConfig) {
+            visit(parentConfig)
+        }
+        ordered.push(config)
+    }
+    configs.forEach(visit)
+    return ordered
+}
+
+/**
+ * Deletes or reports the teams in the organization that are not declared in the configuration.
+ * Teams that are ancestors of a declared team are always kept, since deleting a team also deletes its child teams.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param configs - The configuration objects of all declared teams.
+ * @param pruneMode - Whether to report or delete the undeclared teams.
+ * @param ignorePatterns - Slugs or patterns of teams that are managed elsewhere and must be left alone.
+ * @param plan - The plan that records every change made or planned.
+ * @param snapshot - The state of the organization at the start of the run.
+ * @returns The undeclared teams that could not be deleted, with the reason.
+ */
+async function pruneTeams(octokit: ReturnType<typeof github.getOctokit>, orgName: string, configs: TeamConfig[], pruneMode: PruneMode, ignorePatterns: string[], plan: SyncPlan, snapshot: OrgSnapshot): Promise<SyncFailure[]> {
+    const failures: SyncFailure[] = []
+    const orgTeams = [...snapshot.teams.values()]
+    const declaredSlugs = configs.map(config => config.slug)
+    const previousSlugs = configs.flatMap(config => config.previous_slugs ?? [])
+    const parentSlugs = new Map(orgTeams.map(team => [team.slug, team.parent?.slug]))
+    const configParents = new Map(configs.map(config => [config.slug, config.parent]))
+
+    // Collect every ancestor of a declared team, using the configured parent where there is one
+    const protectedSlugs = new Set<string>()
+    for (const slug of declaredSlugs) {
+        let parent = configParents.get(slug) !== undefined ? configParents.get(slug) : parentSlugs.get(slug)
+        while (parent && !protectedSlugs.has(parent)) {
+            protectedSlugs.add(parent)
+            parent = configParents.get(parent) !== undefined ? configParents.get(parent) : parentSlugs.get(parent)
+        }
+    }
+
+    const undeclaredTeams = orgTeams.filter(team =>
+        !declaredSlugs.includes(team.slug)
+        && !previousSlugs.includes(team.slug)
+        && !ignorePatterns.some(pattern => matchRepoPattern(team.slug, pattern))
+    )
+    for (const team of undeclaredTeams) {
+        if (protectedSlugs.has(team.slug)) {
+            core.warning(`Team ${team.slug} is not declared in the configuration but is kept because it is the parent of a declared team`)
+        } else if (pruneMode === 'report') {
+            core.warning(`Team ${team.slug} is not declared in the configuration`)
+        } else {
+            try {
+                await deleteTeam(octokit, orgName, team, plan)
+            } catch (error) {
+                failures.push({ team: team.slug, step: 'prune', message: error instanceof Error ? error.message : String(error) })
+                core.error(`Failed to delete team ${team.slug}: ${error instanceof Error ? error.message : String(error)}`)
+            }
+        }
+    }
+    return failures
+}
+
+/**
+ * Deletes a team from the organization.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param team - The team to delete.
+ * @param plan - The plan that records every change made or planned.
+ */
+async function deleteTeam(octokit: ReturnType<typeof github.getOctokit>, orgName: string, team: { name: string, slug: string }, plan: SyncPlan): Promise<void> {
+    recordChange(plan, { team: team.slug, action: 'delete-team', target: team.name })
+    if (plan.dryRun) {
+        return
+    }
+
+    try {
+        await octokit.rest.teams.deleteInOrg({
+            org: orgName,
+            team_slug: team.slug,
+        })
+        core.info(`Team ${team.name} deleted`)
+    } catch (error) {
+        // Deleting a parent team also deletes its children, so they may already be gone
+        if (error instanceof Error && 'status' in error && (error as any).status === 404) {
+            core.info(`Team ${team.name} was already deleted along with its parent team`)
+            return
+        }
+        throw error
+    }
+}
+
+/**
+ * Builds the desired role of everyone who belongs to the organization: the declared owners and members, and every
+ * member and maintainer of a declared team. Owners are owners even if they are also listed elsewhere.
+ * @param orgConfig - The organization membership configuration.
+ * @param configs - The configuration objects of all declared teams.
+ * @returns A map from normalized login to the login and the organization role.
+ */
+function getDesiredOrgMembers(orgConfig: OrgConfig, configs: TeamConfig[]): Map<string, { login: string, role: OrgRole }> {
+    const desiredMembers = new Map<string, { login: string, role: OrgRole }>()
+    const teamLogins = configs.flatMap(config => [...(config.members ?? []), ...(config.maintainers ?? [])])
+    for (const login of [...teamLogins, ...(orgConfig.members ?? [])]) {
+        desiredMembers.set(normalizeLogin(login), { login, role: 'member' })
+    }
+    for (const login of orgConfig.owners) {
+        desiredMembers.set(normalizeLogin(login), { login, role: 'admin' })
+    }
+    return desiredMembers
+}
+
+/**
+ * Retrieves the owners of the organization.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @returns The normalized logins of the owners.
+ */
+async function getOrgOwners(octokit: ReturnType<typeof github.getOctokit>, orgName: string): Promise<Set<string>> {
+    return await cachedRead(`org-owners:${orgName}`, async () => {
+        const owners = await octokit.paginate(octokit.rest.orgs.listMembers, {
+            org: orgName,
+            role: 'admin',
+            per_page: 100,
+        })
+        return new Set(owners.map(owner => normalizeLogin(owner.login)))
+    })
+}
+
+/**
+ * Retrieves the users with a pending invitation to the organization.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @returns The normalized logins of the invited users.
+ */
+async function getOrgInvitations(octokit: ReturnType<typeof github.getOctokit>, orgName: string): Promise<Set<string>> {
+    return await cachedRead(`org-invitations:${orgName}`, async () => {
+        const invitations = await octokit.paginate(octokit.rest.orgs.listPendingInvitations, {
+            org: orgName,
+            per_page: 100,
+        })
+        return new Set(invitations.flatMap(invitation => invitation.login ? [normalizeLogin(invitation.login)] : []))
+    })
+}
+
+/**
+ * Retrieves the role of every current member of the organization, and the logins with a pending invitation.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param snapshot - The state of the organization at the start of the run.
+ * @returns The current members by normalized login, and the normalized logins of the invited users.
+ */
+async function getCurrentOrgMembers(octokit: ReturnType<typeof github.getOctokit>, orgName: string, snapshot: OrgSnapshot): Promise<{ members: Map<string, { login: string, role: OrgRole }>, invited: Set<string> }> {
+    return await cachedRead(`org-members:${orgName}`, async () => {
+        const ownerLogins = await getOrgOwners(octokit, orgName)
+        return {
+            members: new Map(snapshot.members.map(login => [normalizeLogin(login), {
+                login,
+                role: ownerLogins.has(normalizeLogin(login)) ? 'admin' : 'member',
+            }])),
+            invited: await getOrgInvitations(octokit, orgName),
+        }
+    })
+}
+
+/**
+ * Invites the declared people who are not members of the organization yet, and changes the role of members whose
+ * role differs from the declared one. Users with a pending invitation are left alone, and logins that do not exist
+ * on GitHub are reported instead of invited.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param orgConfig - The organization membership configuration.
+ * @param configs - The configuration objects of all declared teams.
+ * @param plan - The plan that records every change made or planned.
+ * @param options - The run-wide synchronization settings.
+ * @param snapshot - The state of the organization at the start of the run.
+ */
+async function syncOrgMembers(octokit: ReturnType<typeof github.getOctokit>, orgName: string, orgConfig: OrgConfig, configs: TeamConfig[], plan: SyncPlan, options: SyncOptions, snapshot: OrgSnapshot): Promise<void> {
+    const desiredMembers = getDesiredOrgMembers(orgConfig, configs)
+    const { members: currentMembers, invited } = await getCurrentOrgMembers(octokit, orgName, snapshot)
+    const tasks: Promise<void>[] = []
+    for (const [normalizedLogin, { login, role }] of desiredMembers) {
+        const currentRole = currentMembers.get(normalizedLogin)?.role
+        if (currentRole === role || (!currentRole && invited.has(normalizedLogin))) {
+            continue
+        }
+
+        if (currentRole) {
+            recordChange(plan, { team: orgName, action: 'update-org-role', target: login, detail: `${currentRole} -> ${role}` })
+        } else if (!await userExists(octokit, login)) {
+            core.warning(`${login} does not exist on GitHub (a typo, or a renamed or deleted account); not inviting them to ${orgName}`)
+            continue
+        } else {
+            recordChange(plan, { team: orgName, action: 'invite-org-member', target: login, detail: role })
+            // Shared with checkMembers through the read cache, so the invited user is not treated as a non-member
+            invited.add(normalizedLogin)
+        }
+        if (plan.dryRun) {
+            continue
+        }
+        tasks.push(options.limit(async () => {
+            try {
+                // Sets the role of a member, or invites a user who is not a member yet
+                await octokit.rest.orgs.setMembershipForUser({
+                    org: orgName,
+                    username: login,
+                    role,
+                })
+                core.info(currentRole ? `Changed ${login} in ${orgName} from ${currentRole} to ${role}` : `Invited ${login} to ${orgName} as ${role}`)
+            } catch (error) {
+                core.warning(`Failed to set the membership of ${login} in ${orgName}: ${error instanceof Error ? error.message : String(error)}`)
+            }
+        }))
+    }
+    await Promise.all(tasks)
+}
+
+/**
+ * Removes, or only reports, the members of the organization who are neither declared in the organization file nor
+ * in any team.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param orgConfig - The organization membership configuration.
+ * @param configs - The configuration objects of all declared teams.
+ * @param prune - Whether to remove the undeclared members instead of only warning about them.
+ * @param plan - The plan that records every change made or planned.
+ * @param options - The run-wide synchronization settings.
+ * @param snapshot - The state of the organization at the start of the run.
+ */
+async function pruneOrgMembers(octokit: ReturnType<typeof github.getOctokit>, orgName: string, orgConfig: OrgConfig, configs: TeamConfig[], prune: boolean, plan: SyncPlan, options: SyncOptions, snapshot: OrgSnapshot): Promise<void> {
+    const desiredMembers = getDesiredOrgMembers(orgConfig, configs)
+    const { members: currentMembers } = await getCurrentOrgMembers(octokit, orgName, snapshot)
+    const tasks: Promise<void>[] = []
+    for (const [normalizedLogin, { login }] of currentMembers) {
+        if (desiredMembers.has(normalizedLogin)) {
+            continue
+        }
+        if (!prune) {
+            core.warning(`${login} is a member of ${orgName} but is not declared in the organization file or any team`)
+            continue
+        }
+
+        recordChange(plan, { team: orgName, action: 'remove-org-member', target: login })
+        if (plan.dryRun) {
+            continue
+        }
+        tasks.push(options.limit(async () => {
+            try {
+                await octokit.rest.orgs.removeMembershipForUser({
+                    org: orgName,
+                    username: login,
+                })
+                core.info(`Removed ${login} from ${orgName}`)
+            } catch (error) {
+                core.warning(`Failed to remove ${login} from ${orgName}: ${error instanceof Error ? error.message : String(error)}`)
+            }
+        }))
+    }
+    await Promise.all(tasks)
+}
+
+/**
+ * Builds the desired role of every member listed in the configuration.
+ * Logins listed as maintainers are maintainers even if they also appear in members, in any casing.
+ * @param config - The configuration object for the team.
+ * @param excludedLogins - Normalized logins to leave out.
+ * @returns A map from login to team role.
+ */
+function getDesiredMembers(config: TeamConfig, excludedLogins: Set<string> = new Set()): Map<string, TeamRole> {
+    const desiredMembers = new Map<string, [string, TeamRole]>()
+    for (const member of config.members ?? []) {
+        desiredMembers.set(normalizeLogin(member), [member, 'member'])
+    }
+    for (const maintainer of config.maintainers ?? []) {
+        desiredMembers.set(normalizeLogin(maintainer), [maintainer, 'maintainer'])
+    }
+    for (const login of excludedLogins) {
+        desiredMembers.delete(login)
+    }
+    return new Map(desiredMembers.values())
+}
+
+/**
+ * Normalizes a login for comparison. GitHub logins are case-insensitive.
+ * @param login - The login of a user.
+ * @returns The login in lowercase.
+ */
+function normalizeLogin(login: string): string {
+    return login.toLowerCase()
+}
+
+/**
+ * Builds a lookup of team members by normalized login.
+ * @param members - A map from login to team role.
+ * @returns A map from normalized login to the login as given and the team role.
+ */
+function indexByLogin(members: Map<string, TeamRole>): Map<string, { login: string, role: TeamRole }> {
+    return new Map([...members].map(([login, role]) => [normalizeLogin(login), { login, role }]))
+}
+
+/**
+ * Warns about logins whose casing differs from the canonical login of the organization member, and optionally
+ * rewrites the configuration files with the canonical casing.
+ * @param configFiles - A map from configuration file to the configuration object it declares.
+ * @param snapshot - The state of the organization at the start of the run.
+ * @param fix - Whether to rewrite the files and the loaded configuration objects.
+ */
+async function checkLoginCasing(configFiles: Map<string, TeamConfig>, snapshot: OrgSnapshot, fix: boolean): Promise<void> {
+    const canonicalLogins = new Map(snapshot.members.map(member => [normalizeLogin(member), member]))
+    for (const [file, config] of configFiles) {
+        const fixes: [list: 'members' | 'maintainers', index: number, login: string][] = []
+        for (const list of ['members', 'maintainers'] as const) {
+            (config[list] ?? []).forEach((login, index) => {
+                const canonicalLogin = canonicalLogins.get(normalizeLogin(login))
+                if (canonicalLogin && canonicalLogin !== login) {
+                    core.warning(`${file} lists ${login} in ${list}, but the login is ${canonicalLogin}`)
+                    fixes.push([list, index, canonicalLogin])
+                }
+            })
+        }
+
+        if (!fix || fixes.length === 0) {
+            continue
+        }
+        await fixLogins(file, fixes)
+        for (const [list, index, login] of fixes) {
+            config[list]![index] = login
+        }
+        core.info(`Rewrote ${file} with the canonical casing of ${fixes.length} logins`)
+    }
+}
+
+/**
+ * Replaces logins in a configuration file, keeping its comments and formatting.
+ * @param file - The path to the configuration file.
+ * @param fixes - The list, the position in the list and the new login of each login to replace.
+ */
+async function fixLogins(file: string, fixes: [list: 'members' | 'maintainers', index: number, login: string][]): Promise<void> {
+    const content = await fs.promises.readFile(file, 'utf8')
+    let fixedContent: string
+    switch (path.extname(file).toLowerCase()) {
+        case '.yaml':
+        case '.yml': {
+            const document = YAML.parseDocument(content)
+            for (const [list, index, login] of fixes) {
+                document.setIn([list, index], login)
+            }
+            fixedContent = document.toString()
+            break
+        }
+        default: {
+            const edits = fixes.flatMap(([list, index, login]) => jsonc.modify(content, [list, index], login, {}))
+            fixedContent = jsonc.applyEdits(content, edits)
+        }
+    }
+    await fs.promises.writeFile(file, fixedContent)
+}
+
+/**
+ * Synchronizes the members of a team.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param teamSlug - The slug of the team.
+ * @param configMembers - The members to synchronize with the team, with their roles.
+ * @param plan - The plan that records every change made or planned.
+ * @param options - The run-wide synchronization settings.
+ */
+async function syncMembers(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string, configMembers: Map<string, TeamRole>, plan: SyncPlan, options: SyncOptions): Promise<void> {
+    const currentMembers = await getCurrentMembers(octokit, orgName, teamSlug)
+    const invitations = await getPendingInvitations(octokit, orgName, teamSlug)
+    reportPendingInvitations(teamSlug, configMembers, invitations)
+
+    // Invited users are already on their way into the team, so they are not added again
+    const invitedMembers = new Map<string, TeamRole>(invitations.map(invitation => [invitation.login, 'member']))
+    await Promise.all([
+        addNewMembers(octokit, orgName, teamSlug, configMembers, new Map([...currentMembers, ...invitedMembers]), plan, options),
+        updateMemberRoles(octokit, orgName, teamSlug, configMembers, currentMembers, plan, options),
+        removeOldMembers(octokit, orgName, teamSlug, configMembers, currentMembers, plan, options),
+        cancelOldInvitations(octokit, orgName, teamSlug, invitations, plan, options),
+    ])
+}
+
+/**
+ * A pending invitation of a user to a team.
+ */
+interface PendingInvitation {
+    id: number
+    login: string
+    createdAt: string
+}
+
+/**
+ * Retrieves the pending invitations to a team, for users who have not joined the organization yet.
+ * Invitations sent to an email address rather than a user are left out.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param teamSlug - The slug of the team.
+ * @returns The pending invitations.
+ */
+async function getPendingInvitations(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string): Promise<PendingInvitation[]> {
+    return await cachedRead(`invitations:${orgName}/${teamSlug}`, async () => {
+        const invitations = await octokit.paginate(octokit.rest.teams.listPendingInvitationsInOrg, {
+            org: orgName,
+            team_slug: teamSlug,
+            per_page: 100,
+        })
+        return invitations
+            .filter(invitation => invitation.login)
+            .map(invitation => ({ id: invitation.id, login: invitation.login!, createdAt: invitation.created_at }))
+    })
+}
+
+/**
+ * Gets the number of whole days since an invitation was sent.
+ * @param invitation - The pending invitation.
+ * @returns The age of the invitation in days.
+ */
+function getInvitationAge(invitation: PendingInvitation): number {
+    return Math.floor((Date.now() - Date.parse(invitation.createdAt)) / (24 * 60 * 60 * 1000))
+}
+
+/**
+ * Logs the users with a pending invitation to a team and how long they have been pending, and warns about invitations
+ * of users who are no longer in the configuration.
+ * @param teamSlug - The slug of the team.
+ * @param configMembers - The configured members, with their roles.
+ * @param invitations - The pending invitations to the team.
+ */
+function reportPendingInvitations(teamSlug: string, configMembers: Map<string, TeamRole>, invitations: PendingInvitation[]): void {
+    if (invitations.length === 0) {
+        return
+    }
+    const pending = invitations.map(invitation => `${invitation.login} (${getInvitationAge(invitation)} days)`)
+    core.info(`Pending invitations to ${teamSlug}: ${pending.join(', ')}`)
+
+    const configLogins = indexByLogin(configMembers)
+    for (const invitation of invitations) {
+        if (!configLogins.has(normalizeLogin(invitation.login))) {
+            core.warning(`${invitation.login} has a pending invitation to ${teamSlug} but is not declared in the team`)
+        }
+    }
+}
+
+/**
+ * Cancels the pending invitations to a team that are older than the configured maximum age, for users who are not
+ * declared in any team or in the organization file. Cancelling withdraws the invitation to the organization, including
+ * to any other team, so the stale invitations of declared users are only reported; they would be invited again.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param teamSlug - The slug of the team.
+ * @param invitations - The pending invitations to the team.
+ * @param plan - The plan that records every change made or planned.
+ * @param options - The run-wide synchronization settings.
+ */
+async function cancelOldInvitations(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string, invitations: PendingInvitation[], plan: SyncPlan, options: SyncOptions): Promise<void> {
+    const maxAge = options.invitationMaxAge
+    if (maxAge === null) {
+        return
+    }
+    const tasks: Promise<void>[] = []
+    for (const invitation of invitations) {
+        const age = getInvitationAge(invitation)
+        if (age < maxAge) {
+            continue
+        }
+        if (options.declaredLogins.has(normalizeLogin(invitation.login))) {
+            core.warning(`${invitation.login} has not accepted the invitation to ${teamSlug} after ${age} days; remove them from the configuration to cancel it`)
+            continue
+        }
+        recordChange(plan, { team: teamSlug, action: 'cancel-invitation', target: invitation.login, detail: `pending for ${age} days` })
+        if (plan.dryRun) {
+            continue
+        }
+        tasks.push(options.limit(async () => {
+            try {
+                await octokit.rest.orgs.cancelInvitation({
+                    org: orgName,
+                    invitation_id: invitation.id,
+                })
+                core.info(`Cancelled the invitation of ${invitation.login} to ${teamSlug} after ${age} days`)
+            } catch (error) {
+                core.warning(`Failed to cancel the invitation of ${invitation.login}: ${error instanceof Error ? error.message : String(error)}`)
+            }
+        }))
+    }
+    await Promise.all(tasks)
+}
+
+/**
+ * Retrieves the current direct members of a team. The REST API also lists the members of child teams, who would
+ * otherwise be removed from every parent team, so the members are loaded with the GraphQL API instead.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param teamSlug - The slug of the team.
+ * @returns A map from current team member login to team role.
+ */
+async function getCurrentMembers(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string): Promise<Map<string, TeamRole>> {
+    return await cachedRead(`members:${orgName}/${teamSlug}`, async () => {
+        const query = (role: string) => `
+            query($org: String!, $team: String!, $cursor: String) {
+                organization(login: $org) {
+                    team(slug: $team) {
+                        connection: members(first: 100, after: $cursor, membership: IMMEDIATE${role}) {
+                            pageInfo { hasNextPage endCursor }
+                            nodes { login }
+                        }
+                    }
+                }
+            }`
+        const currentMembers = await paginateGraphql<{ login: string }>(octokit, query(''), orgName, { team: teamSlug })
+        const currentMaintainers = await paginateGraphql<{ login: string }>(octokit, query(', role: MAINTAINER'), orgName, { team: teamSlug })
+        const maintainerLogins = new Set(currentMaintainers.map(maintainer => maintainer.login))
+        return new Map(currentMembers.map(member => [member.login, maintainerLogins.has(member.login) ? 'maintainer' : 'member']))
+    })
+}
+
+/**
+ * Adds members to a team with their configured role if they are not already present.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param teamSlug - The slug of the team.
+ * @param configMembers - The members to add, with their roles.
+ * @param currentMembers - The current team members, with their roles.
+ * @param plan - The plan that records every change made or planned.
+ * @param options - The run-wide synchronization settings.
+ */
+async function addNewMembers(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string, configMembers: Map<string, TeamRole>, currentMembers: Map<string, TeamRole>, plan: SyncPlan, options: SyncOptions): Promise<void> {
+    const tasks: Promise<void>[] = []
+    const currentLogins = indexByLogin(currentMembers)
+    for (const [member, role] of configMembers) {
+        if (!currentLogins.has(normalizeLogin(member))) {
+            recordChange(plan, { team: teamSlug, action: 'add-member', target: member, detail: role })
+            if (plan.dryRun) {
+                continue
+            }
+            tasks.push(options.limit(async () => {
+                try {
+                    await octokit.rest.teams.addOrUpdateMembershipForUserInOrg({
+                        org: orgName,
+                        team_slug: teamSlug,
+                        username: member,
+                        role,
+                    })
+                    core.info(`Added ${member} to ${teamSlug} as ${role}`)
+                } catch (error) {
+                    core.warning(`Failed to add ${member}: ${error instanceof Error ? error.message : String(error)}`)
+                }
+            }))
+        }
+    }
+    await Promise.all(tasks)
+}
+
+/**
+ * Promotes or demotes existing team members whose role differs from the configuration.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param teamSlug - The slug of the team.
+ * @param configMembers - The configured members, with their roles.
+ * @param currentMembers - The current team members, with their roles.
+ * @param plan - The plan that records every change made or planned.
+ * @param options - The run-wide synchronization settings.
+ */
+async function updateMemberRoles(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string, configMembers: Map<string, TeamRole>, currentMembers: Map<string, TeamRole>, plan: SyncPlan, options: SyncOptions): Promise<void> {
+    const tasks: Promise<void>[] = []
+    const currentLogins = indexByLogin(currentMembers)
+    const owners = await getOrgOwners(octokit, orgName)
+    for (const [member, role] of configMembers) {
+        const currentRole = currentLogins.get(normalizeLogin(member))?.role
+        // GitHub makes organization owners maintainers of every team they are in and ignores demotions
+        if (currentRole && role === 'member' && owners.has(normalizeLogin(member))) {
+            core.warning(`${member} is an owner of ${orgName} and is always a maintainer of ${teamSlug}; list them in maintainers`)
+            continue
+        }
+        if (currentRole && currentRole !== role) {
+            recordChange(plan, { team: teamSlug, action: 'update-member-role', target: member, detail: `${currentRole} -> ${role}` })
+            if (plan.dryRun) {
+                continue
+            }
+            tasks.push(options.limit(async () => {
+                try {
+                    await octokit.rest.teams.addOrUpdateMembershipForUserInOrg({
+                        org: orgName,
+                        team_slug: teamSlug,
+                        username: member,
+                        role,
+                    })
+                    core.info(`Changed ${member} in ${teamSlug} from ${currentRole} to ${role}`)
+                } catch (error) {
+                    core.warning(`Failed to change the role of ${member}: ${error instanceof Error ? error.message : String(error)}`)
+                }
+            }))
+        }
+    }
+    await Promise.all(tasks)
 }
 
 /**
- * Validates the configuration object against the schema.
- * @param config - The configuration object to validate.
- * @throws Error if the configuration is invalid.
+ * Removes members from a team if they are no longer in the configuration.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param teamSlug - The slug of the team.
+ * @param configMembers - The members to keep, with their roles.
+ * @param currentMembers - The current team members, with their roles.
+ * @param plan - The plan that records every change made or planned.
+ * @param options - The run-wide synchronization settings.
  */
-function validateConfig(config: any): asserts config is TeamConfig {
-    const ajv = new Ajv()
-    const validate = ajv.compile(configSchema)
-    if (!validate(config)) {
-        throw new Error(`Invalid configuration: ${ajv.errorsText(validate.errors)}`)
+async function removeOldMembers(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string, configMembers: Map<string, TeamRole>, currentMembers: Map<string, TeamRole>, plan: SyncPlan, options: SyncOptions): Promise<void> {
+    const tasks: Promise<void>[] = []
+    const configLogins = indexByLogin(configMembers)
+    for (const member of currentMembers.keys()) {
+        if (!configLogins.has(normalizeLogin(member))) {
+            recordChange(plan, { team: teamSlug, action: 'remove-member', target: member })
+            if (plan.dryRun) {
+                continue
+            }
+            tasks.push(options.limit(async () => {
+                try {
+                    await octokit.rest.teams.removeMembershipForUserInOrg({
+                        org: orgName,
+                        team_slug: teamSlug,
+                        username: member,
+                    })
+                    core.info(`Removed ${member} from ${teamSlug}`)
+                } catch (error) {
+                    core.warning(`Failed to remove ${member}: ${error instanceof Error ? error.message : String(error)}`)
+                }
+            }))
+        }
     }
+    await Promise.all(tasks)
 }
 
 /**
- * Synchronizes the team by creating or updating it, and then syncing members and repositories.
+ * Synchronizes the repositories of a team.
  * @param octokit - The Octokit instance for GitHub API interactions.
  * @param orgName - The name of the organization.
- * @param config - The configuration object for the team.
+ * @param teamSlug - The slug of the team.
+ * @param configRepos - The repository access configuration.
+ * @param plan - The plan that records every change made or planned.
+ * @param options - The run-wide synchronization settings.
+ * @param snapshot - The state of the organization at the start of the run.
+ * @param currentRepos - The team's current repositories, fetched from the organization if omitted.
  */
-async function syncTeam(octokit: ReturnType<typeof github.getOctokit>, orgName: string, config: TeamConfig): Promise<void> {
-    const team = await createOrUpdateTeam(octokit, orgName, config)
-    core.info(`Team ${config.name} (ID: ${team.id}) synchronized`)
+async function syncRepositories(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string, configRepos: Record<string, string>, plan: SyncPlan, options: SyncOptions, snapshot: OrgSnapshot, currentRepos?: TeamRepo[]): Promise<void> {
+    currentRepos ??= await getCurrentTeamRepos(octokit, orgName, teamSlug)
+    const currentPermissions = new Map(currentRepos.map(repo => [repo.name, getTeamRepoPermission(repo)]))
+    const skippedRepos: string[] = []
+    const tasks: Promise<void>[] = []
+
+    for (const repo of snapshot.repos) {
+        const repoName = repo.name
+        const { shouldHaveAccess, permission, matches } = getRepoAccess(repo, configRepos, options.repositoryPrecedence)
 
-    await syncMembers(octokit, orgName, config.slug, config.members)
-    await syncRepositories(octokit, orgName, config.slug, config.repositories)
+        // Archived repositories, forks and templates are only granted by exact name unless included explicitly;
+        // access they already have is left as it is
+        const skipReason = getRepoSkipReason(repo, options)
+        if (shouldHaveAccess && skipReason && !matches.some(([pattern]) => isExactRepoName(pattern))) {
+            skippedRepos.push(`${repoName} (${skipReason})`)
+            continue
+        }
+
+        if (shouldHaveAccess && permission) {
+            const currentPermission = currentPermissions.get(repoName)
+            if (!currentPermissions.has(repoName)) {
+                tasks.push(options.limit(() => addRepoToTeam(octokit, orgName, teamSlug, repoName, permission, plan)))
+            } else if (currentPermission !== permission) {
+                tasks.push(options.limit(() => updateRepoPermission(octokit, orgName, teamSlug, repoName, currentPermission, permission, plan)))
+            }
+        } else if (currentPermissions.has(repoName)) {
+            tasks.push(options.limit(() => removeRepoFromTeam(octokit, orgName, teamSlug, repoName, plan)))
+        }
+    }
+    await Promise.all(tasks)
+
+    if (skippedRepos.length > 0) {
+        core.info(`Skipped ${skippedRepos.length} repositories matched only by patterns for ${teamSlug}: ${skippedRepos.join(', ')}`)
+    }
 }
 
 /**
- * Creates or updates a team in the organization.
- * @param octokit - The Octokit instance for GitHub API interactions.
- * @param orgName - The name of the organization.
- * @param config - The configuration object for the team.
- * @returns The team object containing the team ID.
+ * Determines why a repository should be skipped by pattern grants.
+ * @param repo - The repository.
+ * @param options - The run-wide synchronization settings.
+ * @returns The reason the repository is skipped, or undefined if pattern grants apply to it.
  */
-async function createOrUpdateTeam(octokit: ReturnType<typeof github.getOctokit>, orgName: string, config: TeamConfig): Promise<{ id: number }> {
-    const team = await getTeam(octokit, orgName, config.slug)
-    if (team) {
-        return await updateTeam(octokit, orgName, config)
-    } else {
-        return await createTeam(octokit, orgName, config)
+function getRepoSkipReason(repo: OrgRepo, options: SyncOptions): string | undefined {
+    if (repo.archived && !options.includeArchived) {
+        return 'archived'
+    }
+    if (repo.fork && !options.includeForks) {
+        return 'fork'
+    }
+    if (repo.is_template && !options.includeTemplates) {
+        return 'template'
     }
+    return undefined
 }
 
 /**
- * Retrieves a team by its slug.
+ * Loads the repositories, teams and members of the organization once for the whole run.
  * @param octokit - The Octokit instance for GitHub API interactions.
  * @param orgName - The name of the organization.
- * @param teamSlug - The slug of the team to retrieve.
- * @returns The team object if found, otherwise null.
+ * @param source - Whether to load the snapshot with the REST or the GraphQL API.
+ * @param withProperties - Whether to load the custom property values of the repositories.
+ * @returns The snapshot of the organization.
  */
-async function getTeam(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string): Promise<{ id: number } | null> {
-    try {
-        const { data: team } = await octokit.rest.teams.getByName({
-            org: orgName,
-            team_slug: teamSlug,
-        })
-        return team
-    } catch (error) {
-        if (error instanceof Error && 'status' in error && (error as any).status === 404) {
-            return null
+async function loadOrgSnapshot(octokit: ReturnType<typeof github.getOctokit>, orgName: string, source: SnapshotSource, withProperties: boolean): Promise<OrgSnapshot> {
+    const snapshot: OrgSnapshot = source === 'graphql'
+        ? {
+            repos: await getAllReposGraphql(octokit, orgName),
+            teams: new Map((await getAllTeamsGraphql(octokit, orgName)).map(team => [team.slug, team])),
+            members: await getOrgMembersGraphql(octokit, orgName),
         }
-        throw error
+        : {
+            repos: await getAllRepos(octokit, orgName),
+            teams: new Map((await getAllTeams(octokit, orgName)).map(team => [team.slug, team])),
+            members: await getOrgMembers(octokit, orgName),
+        }
+    if (withProperties) {
+        const properties = await getRepoProperties(octokit, orgName)
+        snapshot.repos.forEach(repo => repo.properties = properties.get(repo.name) ?? {})
     }
+    core.info(`Loaded ${snapshot.repos.length} repositories, ${snapshot.teams.size} teams and ${snapshot.members.length} members of ${orgName}`)
+    return snapshot
 }
 
 /**
- * Updates an existing team.
+ * Retrieves all repositories in an organization.
  * @param octokit - The Octokit instance for GitHub API interactions.
  * @param orgName - The name of the organization.
- * @param config - The configuration object for the team.
- * @returns The updated team object.
+ * @returns The list of all repositories.
  */
-async function updateTeam(octokit: ReturnType<typeof github.getOctokit>, orgName: string, config: TeamConfig): Promise<{ id: number }> {
-    const { data: updatedTeam } = await octokit.rest.teams.updateInOrg({
+async function getAllRepos(octokit: ReturnType<typeof github.getOctokit>, orgName: string): Promise<OrgRepo[]> {
+    return await octokit.paginate(octokit.rest.repos.listForOrg, {
         org: orgName,
-        team_slug: config.slug,
-        name: config.name,
-        description: config.description,
-        privacy: config.privacy || 'closed',
+        per_page: 100,
     })
-    core.info(`Team ${config.name} updated`)
-    return updatedTeam
 }
 
 /**
- * Creates a new team.
+ * Retrieves all teams in an organization.
  * @param octokit - The Octokit instance for GitHub API interactions.
  * @param orgName - The name of the organization.
- * @param config - The configuration object for the team.
- * @returns The newly created team object.
+ * @returns The list of all teams.
  */
-async function createTeam(octokit: ReturnType<typeof github.getOctokit>, orgName: string, config: TeamConfig): Promise<{ id: number }> {
-    const { data: newTeam } = await octokit.rest.teams.create({
+async function getAllTeams(octokit: ReturnType<typeof github.getOctokit>, orgName: string): Promise<ExistingTeam[]> {
+    return await octokit.paginate(octokit.rest.teams.list, {
         org: orgName,
-        name: config.name,
-        description: config.description,
-        privacy: config.privacy || 'closed',
+        per_page: 100,
     })
-    core.info(`Team ${config.name} created`)
-    return newTeam
 }
 
 /**
- * Synchronizes the members of a team.
+ * Retrieves the logins of all members of an organization.
  * @param octokit - The Octokit instance for GitHub API interactions.
  * @param orgName - The name of the organization.
- * @param teamSlug - The slug of the team.
- * @param configMembers - The list of members to synchronize with the team.
+ * @returns The list of member logins.
  */
-async function syncMembers(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string, configMembers: string[]): Promise<void> {
-    const currentMembers = await getCurrentMembers(octokit, orgName, teamSlug)
-    await addNewMembers(octokit, orgName, teamSlug, configMembers, currentMembers)
-    await removeOldMembers(octokit, orgName, teamSlug, configMembers, currentMembers)
+async function getOrgMembers(octokit: ReturnType<typeof github.getOctokit>, orgName: string): Promise<string[]> {
+    const members = await octokit.paginate(octokit.rest.orgs.listMembers, {
+        org: orgName,
+        per_page: 100,
+    })
+    return members.map(member => member.login)
 }
 
 /**
- * Retrieves the current members of a team.
+ * Retrieves all repositories in an organization with the GraphQL API.
  * @param octokit - The Octokit instance for GitHub API interactions.
  * @param orgName - The name of the organization.
- * @param teamSlug - The slug of the team.
- * @returns The list of current team member logins.
+ * @returns The list of all repositories.
  */
-async function getCurrentMembers(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string): Promise<string[]> {
-    const { data: currentMembers } = await octokit.rest.teams.listMembersInOrg({
-        org: orgName,
-        team_slug: teamSlug,
-    })
-    return currentMembers.map(member => member.login)
+async function getAllReposGraphql(octokit: ReturnType<typeof github.getOctokit>, orgName: string): Promise<OrgRepo[]> {
+    const repos = await paginateGraphql<{
+        name: string
+        visibility: string
+        isArchived: boolean
+        isFork: boolean
+        isTemplate: boolean
+        primaryLanguage: { name: string } | null
+        repositoryTopics: { nodes: { topic: { name: string } }[] }
+    }>(octokit, `
+        query($org: String!, $cursor: String) {
+            organization(login: $org) {
+                connection: repositories(first: 100, after: $cursor) {
+                    pageInfo { hasNextPage endCursor }
+                    nodes {
+                        name
+                        visibility
+                        isArchived
+                        isFork
+                        isTemplate
+                        primaryLanguage { name }
+                        repositoryTopics(first: 100) { nodes { topic { name } } }
+                    }
+                }
+            }
+        }`, orgName)
+    return repos.map(repo => ({
+        name: repo.name,
+        visibility: repo.visibility.toLowerCase(),
+        archived: repo.isArchived,
+        fork: repo.isFork,
+        is_template: repo.isTemplate,
+        language: repo.primaryLanguage?.name ?? null,
+        topics: repo.repositoryTopics.nodes.map(node => node.topic.name),
+    }))
 }
 
 /**
- * Adds members to a team if they are not already present.
+ * Retrieves all teams in an organization with the GraphQL API.
  * @param octokit - The Octokit instance for GitHub API interactions.
  * @param orgName - The name of the organization.
- * @param teamSlug - The slug of the team.
- * @param configMembers - The list of members to add.
- * @param currentMembers - The list of current team members.
+ * @returns The list of all teams.
  */
-async function addNewMembers(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string, configMembers: string[], currentMembers: string[]): Promise<void> {
-    for (const member of configMembers) {
-        if (!currentMembers.includes(member)) {
-            try {
-                await octokit.rest.teams.addOrUpdateMembershipForUserInOrg({
-                    org: orgName,
-                    team_slug: teamSlug,
-                    username: member,
-                })
-                core.info(`Added ${member} to the team`)
-            } catch (error) {
-                core.warning(`Failed to add ${member}: ${error instanceof Error ? error.message : String(error)}`)
+async function getAllTeamsGraphql(octokit: ReturnType<typeof github.getOctokit>, orgName: string): Promise<ExistingTeam[]> {
+    const teams = await paginateGraphql<{
+        databaseId: number
+        name: string
+        slug: string
+        description: string | null
+        privacy: 'SECRET' | 'VISIBLE'
+        notificationSetting: 'NOTIFICATIONS_ENABLED' | 'NOTIFICATIONS_DISABLED'
+        parentTeam: { databaseId: number, slug: string } | null
+    }>(octokit, `
+        query($org: String!, $cursor: String) {
+            organization(login: $org) {
+                connection: teams(first: 100, after: $cursor) {
+                    pageInfo { hasNextPage endCursor }
+                    nodes {
+                        databaseId
+                        name
+                        slug
+                        description
+                        privacy
+                        notificationSetting
+                        parentTeam { databaseId slug }
+                    }
+                }
             }
-        }
-    }
+        }`, orgName)
+    return teams.map(team => ({
+        id: team.databaseId,
+        name: team.name,
+        slug: team.slug,
+        description: team.description,
+        // GraphQL calls closed teams visible
+        privacy: team.privacy === 'SECRET' ? 'secret' : 'closed',
+        notification_setting: team.notificationSetting.toLowerCase(),
+        parent: team.parentTeam && { id: team.parentTeam.databaseId, slug: team.parentTeam.slug },
+    }))
 }
 
 /**
- * Removes members from a team if they are no longer in the configuration.
+ * Retrieves the logins of all members of an organization with the GraphQL API.
  * @param octokit - The Octokit instance for GitHub API interactions.
  * @param orgName - The name of the organization.
- * @param teamSlug - The slug of the team.
- * @param configMembers - The list of members to keep.
- * @param currentMembers - The list of current team members.
+ * @returns The list of member logins.
  */
-async function removeOldMembers(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string, configMembers: string[], currentMembers: string[]): Promise<void> {
-    for (const member of currentMembers) {
-        if (!configMembers.includes(member)) {
-            try {
-                await octokit.rest.teams.removeMembershipForUserInOrg({
-                    org: orgName,
-                    team_slug: teamSlug,
-                    username: member,
-                })
-                core.info(`Removed ${member} from the team`)
-            } catch (error) {
-                core.warning(`Failed to remove ${member}: ${error instanceof Error ? error.message : String(error)}`)
+async function getOrgMembersGraphql(octokit: ReturnType<typeof github.getOctokit>, orgName: string): Promise<string[]> {
+    const members = await paginateGraphql<{ login: string }>(octokit, `
+        query($org: String!, $cursor: String) {
+            organization(login: $org) {
+                connection: membersWithRole(first: 100, after: $cursor) {
+                    pageInfo { hasNextPage endCursor }
+                    nodes { login }
+                }
             }
-        }
-    }
+        }`, orgName)
+    return members.map(member => member.login)
 }
 
 /**
- * Synchronizes the repositories of a team.
+ * Runs a GraphQL query against the organization page by page and collects the nodes of its `connection` field.
  * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param query - The query, taking `$org` and `$cursor` variables and aliasing the paginated field as `connection`,
+ * either on the organization or on a team selected as `team`.
  * @param orgName - The name of the organization.
- * @param teamSlug - The slug of the team.
- * @param configRepos - The repository access configuration.
+ * @param variables - Any other variables of the query.
+ * @returns The nodes of every page.
+ * @throws Error if the selected team does not exist.
  */
-async function syncRepositories(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string, configRepos: Record<string, string>): Promise<void> {
-    const allRepos = await getAllRepos(octokit, orgName)
-    const currentRepos = await getCurrentTeamRepos(octokit, orgName, teamSlug)
-    const currentRepoNames = currentRepos.map(repo => repo.name)
-
-    for (const repo of allRepos) {
-        const repoName = repo.name
-        const { shouldHaveAccess, permission } = getRepoAccess(repoName, configRepos)
-
-        if (shouldHaveAccess && permission) {
-            if (!currentRepoNames.includes(repoName)) {
-                await addRepoToTeam(octokit, orgName, teamSlug, repoName, permission)
-            }
-        } else if (currentRepoNames.includes(repoName)) {
-            await removeRepoFromTeam(octokit, orgName, teamSlug, repoName)
+async function paginateGraphql<T>(octokit: ReturnType<typeof github.getOctokit>, query: string, orgName: string, variables: Record<string, unknown> = {}): Promise<T[]> {
+    type Connection = { connection: { nodes: T[], pageInfo: { hasNextPage: boolean, endCursor: string | null } } }
+    const nodes: T[] = []
+    let cursor: string | null = null
+    do {
+        const response: {
+            organization: Connection & { team?: Connection | null }
+        } = await octokit.graphql(query, { ...variables, org: orgName, cursor })
+        if (response.organization.team === null) {
+            throw new Error(`Team ${variables.team} does not exist in ${orgName}`)
         }
-    }
+        const { connection } = response.organization.team ?? response.organization
+        nodes.push(...connection.nodes)
+        cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null
+    } while (cursor)
+    return nodes
 }
 
 /**
- * Retrieves all repositories in an organization.
+ * Retrieves the custom property values of every repository in an organization.
  * @param octokit - The Octokit instance for GitHub API interactions.
  * @param orgName - The name of the organization.
- * @returns The list of all repositories.
+ * @returns A map from repository name to its custom property values.
  */
-async function getAllRepos(octokit: ReturnType<typeof github.getOctokit>, orgName: string) {
-    return await octokit.paginate(octokit.rest.repos.listForOrg, {
+async function getRepoProperties(octokit: ReturnType<typeof github.getOctokit>, orgName: string): Promise<Map<string, Record<string, string | string[] | null>>> {
+    const repoProperties = await octokit.paginate(octokit.rest.orgs.listCustomPropertiesValuesForRepos, {
         org: orgName,
         per_page: 100,
     })
+    return new Map(repoProperties.map(repo => [
+        repo.repository_name,
+        Object.fromEntries(repo.properties.map(property => [property.property_name, property.value])),
+    ]))
 }
 
 /**
@@ -336,37 +2295,205 @@ async function getAllRepos(octokit: ReturnType<typeof github.getOctokit>, orgNam
  * @param teamSlug - The slug of the team.
  * @returns The list of current team repositories.
  */
-async function getCurrentTeamRepos(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string) {
-    const { data: currentRepos } = await octokit.rest.teams.listReposInOrg({
+async function getCurrentTeamRepos(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string): Promise<TeamRepo[]> {
+    return await cachedRead(`team-repos:${orgName}/${teamSlug}`, () => octokit.paginate(octokit.rest.teams.listReposInOrg, {
         org: orgName,
         team_slug: teamSlug,
-    })
-    return currentRepos
+        per_page: 100,
+    }))
+}
+
+/**
+ * A repository the team currently has access to, as returned by the team repositories listing.
+ */
+interface TeamRepo {
+    name: string
+    role_name?: string
+    permissions?: {
+        admin?: boolean
+        maintain?: boolean
+        push?: boolean
+        triage?: boolean
+        pull?: boolean
+    }
+}
+
+/**
+ * Determines the team's current permission on a repository, using the configuration's permission names.
+ * @param repo - The repository as returned by the team repositories listing.
+ * @returns The permission level, or undefined if it cannot be determined.
+ */
+function getTeamRepoPermission(repo: TeamRepo): string | undefined {
+    // role_name uses the names shown in the UI, which differ from the API names for read and write
+    switch (repo.role_name) {
+        case 'read':
+            return 'pull'
+        case 'write':
+            return 'push'
+        case undefined:
+            break
+        default:
+            return repo.role_name
+    }
+    // Otherwise use the highest permission the team has
+    const levels = ['admin', 'maintain', 'push', 'triage', 'pull'] as const
+    return levels.find(level => repo.permissions?.[level])
+}
+
+/**
+ * The attributes of an organization repository that repository entries can select on.
+ */
+interface OrgRepo {
+    name: string
+    topics?: string[]
+    visibility?: string
+    language?: string | null
+    archived?: boolean
+    fork?: boolean
+    is_template?: boolean
+    properties?: Record<string, string | string[] | null>
 }
 
 /**
  * Determines if a repository should have access based on configuration.
- * @param repoName - The name of the repository.
+ * @param repo - The repository.
  * @param configRepos - The repository access configuration.
- * @returns An object containing whether access should be granted and the permission level.
+ * @param precedence - The rule used to pick a permission when several entries match.
+ * @returns An object containing whether access should be granted, the permission level, and every matching entry.
  */
-function getRepoAccess(repoName: string, configRepos: Record<string, string>) {
+function getRepoAccess(repo: OrgRepo, configRepos: Record<string, string>, precedence: RepositoryPrecedence) {
+    // A matching negated pattern excludes the repository from every entry before it
+    let matches: [string, string][] = []
     for (const [pattern, permission] of Object.entries(configRepos)) {
-        if (matchRepoPattern(repoName, pattern)) {
-            return { shouldHaveAccess: true, permission }
+        if (pattern.startsWith('!')) {
+            if (matchRepoEntry(repo, pattern.slice(1))) {
+                matches = []
+            }
+        } else if (matchRepoEntry(repo, pattern)) {
+            matches.push([pattern, permission])
+        }
+    }
+    if (matches.length === 0) {
+        return { shouldHaveAccess: false, permission: undefined, matches }
+    }
+
+    // Ties keep the entry that comes first in the configuration
+    const rank = precedence === 'highest-permission'
+        ? ([, permission]: [string, string]) => PERMISSION_LEVELS.indexOf(permission)
+        : ([pattern]: [string, string]) => getPatternSpecificity(pattern)
+    const [, permission] = matches.reduce((best, match) => rank(match) > rank(best) ? match : best)
+    return { shouldHaveAccess: true, permission, matches }
+}
+
+/**
+ * Scores how specific a repository pattern is. Exact names beat globs and selectors, which beat regular expressions;
+ * globs and selectors with more literal characters beat those with fewer.
+ * @param pattern - The repository pattern.
+ * @returns The specificity score; higher is more specific.
+ */
+function getPatternSpecificity(pattern: string): number {
+    if (pattern.startsWith('re:')) {
+        return -1
+    }
+    const selector = getRepoSelector(pattern)
+    if (selector) {
+        return selector.value.replace(/[*?[\]{}]/g, '').length
+    }
+    const literalCharacters = pattern.replace(/[*?[\]{}]/g, '').length
+    return /[*?[\]{}]/.test(pattern) ? literalCharacters : Number.MAX_SAFE_INTEGER
+}
+
+/**
+ * Checks whether a repository entry is an exact repository name rather than a pattern or selector.
+ * @param pattern - The repository entry.
+ * @returns True if the entry names a single repository, otherwise false.
+ */
+function isExactRepoName(pattern: string): boolean {
+    return getPatternSpecificity(pattern) === Number.MAX_SAFE_INTEGER
+}
+
+/**
+ * Splits a selector entry such as `topic:payments` or `property:owner=platform` into its parts.
+ * @param pattern - The repository entry.
+ * @returns The selector, the property name for property selectors, and the value; or undefined for name patterns.
+ */
+function getRepoSelector(pattern: string): { selector: string, property?: string, value: string } | undefined {
+    const separator = pattern.indexOf(':')
+    const selector = pattern.slice(0, separator)
+    if (separator === -1 || !REPO_SELECTORS.includes(selector)) {
+        return undefined
+    }
+    const value = pattern.slice(separator + 1)
+    if (selector === 'property') {
+        const [property, ...propertyValue] = value.split('=')
+        return { selector, property, value: propertyValue.join('=') }
+    }
+    return { selector, value }
+}
+
+/**
+ * Matches a repository against a repository entry, which is either a name pattern or a selector.
+ * Selector values are globs matched case-insensitively; multi-select properties match if any of their values match.
+ * @param repo - The repository.
+ * @param pattern - The repository entry, without a negation prefix.
+ * @returns True if the repository matches the entry, otherwise false.
+ */
+function matchRepoEntry(repo: OrgRepo, pattern: string): boolean {
+    const selector = getRepoSelector(pattern)
+    if (!selector) {
+        return matchRepoPattern(repo.name, pattern)
+    }
+    const matchValue = (value: string | null | undefined) =>
+        value != null && minimatch(value, selector.value, { dot: true, nonegate: true, nocomment: true, nocase: true })
+    switch (selector.selector) {
+        case 'topic':
+            return (repo.topics ?? []).some(matchValue)
+        case 'visibility':
+            return matchValue(repo.visibility)
+        case 'language':
+            return matchValue(repo.language)
+        default: {
+            const value = repo.properties?.[selector.property ?? '']
+            return Array.isArray(value) ? value.some(matchValue) : matchValue(value)
         }
     }
-    return { shouldHaveAccess: false, permission: undefined }
 }
 
 /**
- * Matches a repository name against a pattern.
+ * Matches a repository name against a pattern, ignoring case like GitHub does for repository names.
+ * Patterns are globs (`*`, `?`, `**`, `[abc]`, `{a,b}`), or regular expressions when prefixed with `re:`.
  * @param repoName - The name of the repository.
  * @param pattern - The pattern to match against.
  * @returns True if the repository name matches the pattern, otherwise false.
  */
 function matchRepoPattern(repoName: string, pattern: string): boolean {
-    return pattern === '*' || (pattern.endsWith('*') && repoName.startsWith(pattern.slice(0, -1))) || repoName === pattern
+    if (pattern.startsWith('re:')) {
+        return new RegExp(pattern.slice(3), 'i').test(repoName)
+    }
+    return minimatch(repoName, pattern, { dot: true, nonegate: true, nocomment: true, nocase: true })
+}
+
+/**
+ * Checks that a repository pattern can be compiled.
+ * @param pattern - The pattern, optionally negated with a leading `!`.
+ * @throws Error if the pattern is an invalid regular expression or a malformed selector.
+ */
+function validateRepoPattern(pattern: string): void {
+    const positivePattern = pattern.startsWith('!') ? pattern.slice(1) : pattern
+    const selector = getRepoSelector(positivePattern)
+    if (selector && (!selector.value || selector.property === '')) {
+        throw new Error(`Invalid repository selector ${pattern}: expected ${selector.selector === 'property' ? 'property:<name>=<value>' : `${selector.selector}:<value>`}`)
+    }
+    if (!selector && !positivePattern.startsWith('re:') && positivePattern.includes(':')) {
+        throw new Error(`Invalid repository pattern ${pattern}: unknown selector, expected one of ${REPO_SELECTORS.join(', ')}`)
+    }
+    if (positivePattern.startsWith('re:')) {
+        try {
+            new RegExp(positivePattern.slice(3))
+        } catch (error) {
+            throw new Error(`Invalid repository pattern ${pattern}: ${error instanceof Error ? error.message : String(error)}`)
+        }
+    }
 }
 
 /**
@@ -376,8 +2503,40 @@ function matchRepoPattern(repoName: string, pattern: string): boolean {
  * @param teamSlug - The slug of the team.
  * @param repoName - The name of the repository.
  * @param permission - The permission level to set.
+ * @param plan - The plan that records every change made or planned.
+ */
+async function addRepoToTeam(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string, repoName: string, permission: string, plan: SyncPlan): Promise<void> {
+    recordChange(plan, { team: teamSlug, action: 'add-repo', target: repoName, detail: permission })
+    if (plan.dryRun) {
+        return
+    }
+
+    await octokit.rest.teams.addOrUpdateRepoPermissionsInOrg({
+        org: orgName,
+        team_slug: teamSlug,
+        owner: orgName,
+        repo: repoName,
+        permission: permission,
+    })
+    core.info(`Added ${repoName} to ${teamSlug} with ${permission} permission`)
+}
+
+/**
+ * Changes the permission a team has on a repository it already has access to.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param orgName - The name of the organization.
+ * @param teamSlug - The slug of the team.
+ * @param repoName - The name of the repository.
+ * @param currentPermission - The permission level the team currently has.
+ * @param permission - The permission level to set.
+ * @param plan - The plan that records every change made or planned.
  */
-async function addRepoToTeam(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string, repoName: string, permission: string): Promise<void> {
+async function updateRepoPermission(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string, repoName: string, currentPermission: string | undefined, permission: string, plan: SyncPlan): Promise<void> {
+    recordChange(plan, { team: teamSlug, action: 'update-repo', target: repoName, detail: `${currentPermission ?? 'unknown'} -> ${permission}` })
+    if (plan.dryRun) {
+        return
+    }
+
     await octokit.rest.teams.addOrUpdateRepoPermissionsInOrg({
         org: orgName,
         team_slug: teamSlug,
@@ -385,7 +2544,7 @@ async function addRepoToTeam(octokit: ReturnType<typeof github.getOctokit>, orgN
         repo: repoName,
         permission: permission,
     })
-    core.info(`Added ${repoName} to the team with ${permission} permission`)
+    core.info(`Changed the permission of ${teamSlug} on ${repoName} from ${currentPermission ?? 'unknown'} to ${permission}`)
 }
 
 /**
@@ -394,15 +2553,263 @@ async function addRepoToTeam(octokit: ReturnType<typeof github.getOctokit>, orgN
  * @param orgName - The name of the organization.
  * @param teamSlug - The slug of the team.
  * @param repoName - The name of the repository.
+ * @param plan - The plan that records every change made or planned.
  */
-async function removeRepoFromTeam(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string, repoName: string): Promise<void> {
+async function removeRepoFromTeam(octokit: ReturnType<typeof github.getOctokit>, orgName: string, teamSlug: string, repoName: string, plan: SyncPlan): Promise<void> {
+    recordChange(plan, { team: teamSlug, action: 'remove-repo', target: repoName })
+    if (plan.dryRun) {
+        return
+    }
+
     await octokit.rest.teams.removeRepoInOrg({
         org: orgName,
         team_slug: teamSlug,
         owner: orgName,
         repo: repoName,
     })
-    core.info(`Removed ${repoName} from the team`)
+    core.info(`Removed ${repoName} from ${teamSlug}`)
+}
+
+/**
+ * Returns the cached result of a read-only request, loading it on first use.
+ * Failed loads are not cached, so a later call can retry them.
+ * @param key - The key identifying the request.
+ * @param load - The function that performs the request.
+ * @returns The result of the request.
+ */
+function cachedRead<T>(key: string, load: () => Promise<T>): Promise<T> {
+    let result = readCache.get(key) as Promise<T> | undefined
+    if (!result) {
+        result = load()
+        readCache.set(key, result)
+        result.catch(() => readCache.delete(key))
+    }
+    return result
+}
+
+/**
+ * Records a change in the plan.
+ * @param plan - The plan to record the change in.
+ * @param change - The change made or planned.
+ */
+function recordChange(plan: SyncPlan, change: PlannedChange): void {
+    plan.changes.push(change)
+    if (plan.dryRun) {
+        core.info(`[dry-run] ${describeChange(change)}`)
+    }
+}
+
+/**
+ * Formats a planned change as a human-readable sentence.
+ * @param change - The planned change.
+ * @returns The description of the change.
+ */
+function describeChange(change: PlannedChange): string {
+    switch (change.action) {
+        case 'create-team':
+            return `Create team ${change.target} (${change.team})`
+        case 'update-team':
+            return `Update team ${change.target} (${change.detail})`
+        case 'delete-team':
+            return `Delete team ${change.target} (${change.team})`
+        case 'add-member':
+            return `Add ${change.target} to ${change.team} as ${change.detail}`
+        case 'update-member-role':
+            return `Change the role of ${change.target} in ${change.team} (${change.detail})`
+        case 'remove-member':
+            return `Remove ${change.target} from ${change.team}`
+        case 'cancel-invitation':
+            return `Cancel the invitation of ${change.target} to ${change.team} (${change.detail})`
+        case 'invite-org-member':
+            return `Invite ${change.target} to ${change.team} as ${change.detail}`
+        case 'update-org-role':
+            return `Change the role of ${change.target} in ${change.team} (${change.detail})`
+        case 'remove-org-member':
+            return `Remove ${change.target} from ${change.team}`
+        case 'add-repo':
+            return `Grant ${change.team} ${change.detail} access to ${change.target}`
+        case 'update-repo':
+            return `Change ${change.team} access to ${change.target} (${change.detail})`
+        case 'remove-repo':
+            return `Revoke ${change.team} access to ${change.target}`
+    }
+}
+
+/**
+ * Logs a summary of the plan at the end of the run.
+ * @param plan - The plan to report.
+ */
+function reportPlan(plan: SyncPlan): void {
+    if (!plan.dryRun) {
+        return
+    }
+    if (plan.changes.length === 0) {
+        core.info('[dry-run] No changes required')
+        return
+    }
+    core.startGroup(`[dry-run] ${plan.changes.length} change(s) would be applied`)
+    for (const change of plan.changes) {
+        core.info(describeChange(change))
+    }
+    core.endGroup()
+}
+
+/**
+ * Describes a planned change as drift: how the organization differs from the configuration.
+ * @param change - The change that would remove the drift.
+ * @returns The description of the drift.
+ */
+function describeDrift(change: PlannedChange): string {
+    switch (change.action) {
+        case 'create-team':
+            return `Team ${change.target} is declared but does not exist`
+        case 'update-team':
+            return `Team ${change.target} differs from the configuration (${change.detail})`
+        case 'delete-team':
+            return `Team ${change.target} exists but is not declared`
+        case 'add-member':
+            return `${change.target} is declared as ${change.detail} of ${change.team} but is not in the team`
+        case 'update-member-role':
+            return `${change.target} has a different role in ${change.team} than declared (${change.detail})`
+        case 'remove-member':
+            return `${change.target} is in ${change.team} but is not declared`
+        case 'cancel-invitation':
+            return `The invitation of ${change.target} to ${change.team} has been pending too long (${change.detail})`
+        case 'invite-org-member':
+            return `${change.target} is declared as ${change.detail} of ${change.team} but is not a member`
+        case 'update-org-role':
+            return `${change.target} has a different role in ${change.team} than declared (${change.detail})`
+        case 'remove-org-member':
+            return `${change.target} is a member of ${change.team} but is not declared`
+        case 'add-repo':
+            return `${change.team} is missing ${change.detail} access to ${change.target}`
+        case 'update-repo':
+            return `${change.team} has a different permission on ${change.target} than declared (${change.detail})`
+        case 'remove-repo':
+            return `${change.team} has access to ${change.target} that is not declared`
+    }
+}
+
+/**
+ * Reports the drift found in detect mode in the log and the job summary, and fails the run if there is any.
+ * @param plan - The plan holding the changes that would remove the drift.
+ */
+async function reportDrift(plan: SyncPlan): Promise<void> {
+    core.setOutput('plan', JSON.stringify(plan.changes))
+    core.setOutput('drift-detected', String(plan.changes.length > 0))
+
+    if (plan.changes.length === 0) {
+        core.info('No drift detected: the organization matches the configuration')
+        core.setOutput('result', 'No drift detected')
+        return
+    }
+
+    for (const change of plan.changes) {
+        core.warning(describeDrift(change))
+    }
+    await core.summary
+        .addHeading('Team configuration drift')
+        .addTable([
+            [{ data: 'Team', header: true }, { data: 'Drift', header: true }],
+            ...plan.changes.map(change => [change.team, describeDrift(change)]),
+        ])
+        .write()
+
+    core.setOutput('result', `Drift detected: ${plan.changes.length} difference(s)`)
+    core.setFailed(`The organization has drifted from the configuration: ${plan.changes.length} difference(s) found`)
+}
+
+/**
+ * Renders the plan as a markdown pull request comment, grouped by team.
+ * @param plan - The plan to render.
+ * @returns The comment body, including the marker used to find it again.
+ */
+function formatPlanComment(plan: SyncPlan): string {
+    const lines = [PLAN_COMMENT_MARKER, '### Team sync plan', '']
+    if (plan.changes.length === 0) {
+        lines.push('No changes to teams, members or repository permissions.')
+        return lines.join('\n')
+    }
+
+    const changesByTeam = new Map<string, PlannedChange[]>()
+    for (const change of plan.changes) {
+        changesByTeam.set(change.team, [...(changesByTeam.get(change.team) ?? []), change])
+    }
+
+    lines.push(`Merging this pull request will apply ${plan.changes.length} change(s):`, '')
+    for (const [team, changes] of changesByTeam) {
+        lines.push(`#### \`${team}\``, '')
+        for (const change of changes) {
+            lines.push(`- ${describeChange(change)}`)
+        }
+        lines.push('')
+    }
+    return lines.join('\n')
+}
+
+/**
+ * Posts the plan as a comment on the current pull request, updating the previous plan comment posted with the same token
+ * if there is one.
+ * @param octokit - The Octokit instance for GitHub API interactions.
+ * @param plan - The plan to post.
+ */
+async function postPlanComment(octokit: ReturnType<typeof github.getOctokit>, plan: SyncPlan): Promise<void> {
+    const { owner, repo } = github.context.repo
+    const issueNumber = github.context.issue.number
+    const body = formatPlanComment(plan)
+
+    const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+        owner,
+        repo,
+        issue_number: issueNumber,
+        per_page: 100,
+    })
+    // Only our own comment can be updated; anyone quoting it copies the marker too. App tokens have no user login
+    const login = await getAuthenticatedLogin(octokit)
+    const existing = comments.find(comment =>
+        comment.body?.includes(PLAN_COMMENT_MARKER)
+        && (login ? comment.user?.login === login : comment.user?.type === 'Bot')
+    )
+
+    if (existing) {
+        await octokit.rest.issues.updateComment({
+            owner,
+            repo,
+            comment_id: existing.id,
+            body,
+        })
+        core.info(`Updated plan comment on pull request #${issueNumber}`)
+    } else {
+        await octokit.rest.issues.createComment({
+            owner,
+            repo,
+            issue_number: issueNumber,
+            body,
+        })
+        core.info(`Posted plan comment on pull request #${issueNumber}`)
+    }
+}
+
+/**
+ * Reports the teams that failed, with the step that failed, and fails the run if there are any.
+ * @param failures - The teams that could not be processed.
+ */
+async function reportFailures(failures: SyncFailure[]): Promise<void> {
+    core.setOutput('failures', JSON.stringify(failures))
+    if (failures.length === 0) {
+        return
+    }
+
+    await core.summary
+        .addHeading('Failed teams')
+        .addTable([
+            [{ data: 'Team', header: true }, { data: 'File', header: true }, { data: 'Step', header: true }, { data: 'Error', header: true }],
+            ...failures.map(failure => [failure.team, failure.file ?? '', failure.step, failure.message]),
+        ])
+        .write()
+
+    const details = failures.map(failure => `- ${failure.team}${failure.file ? ` (${failure.file})` : ''} failed at ${failure.step}: ${failure.message}`)
+    core.setFailed([`${failures.length} team(s) failed to synchronize:`, ...details].join('\n'))
 }
 
 /**